@@ -1,21 +1,29 @@
 /*!
- * Copyright (c) 2018-2022 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 import * as constants from './constants.js';
+import {describePatch, invertPatch, validatePatch} from './patches.js';
+import {serviceId, validateServices} from './services.js';
 import {DID_DOC_CONTEXTS} from './VeresOneDriver.js';
 
-import {
-  generate as jsonPatchGenerate,
-  observe as jsonPatchObserve,
-  unobserve as jsonPatchUnobserve
-} from 'fast-json-patch/index.mjs';
+import {compare as jsonPatchCompare} from 'fast-json-patch/index.mjs';
+
+const {VERIFICATION_RELATIONSHIPS} = constants;
+// properties that may contain (embedded) verification methods
+const METHOD_PROPERTIES = ['verificationMethod', ...VERIFICATION_RELATIONSHIPS];
+
+/**
+ * @typedef LDKeyPair
+ */
 
 export class DidDocumentUpdater {
   constructor({didDocument, meta}) {
     this.didDocument = didDocument;
     this.meta = meta || {sequence: 0};
 
-    this.observer = null; // JSON Patch change observer
+    // the DID Document as it was when observing started, compared with it
+    // to create the patch
+    this.base = null;
     this.observe();
   }
 
@@ -24,34 +32,34 @@ export class DidDocumentUpdater {
    * diff patch to send to the ledger. Used for updating the doc.
    */
   observe() {
-    if(this.observer) {
-      this.unobserve();
-    }
-    this.observer = jsonPatchObserve(this.didDocument);
+    this.base = structuredClone(this.didDocument);
   }
 
   /**
    * Stops observing for changes.
    */
   unobserve() {
-    if(!this.observer) {
-      throw new Error('Not observing changes.');
-    }
-    jsonPatchUnobserve(this.didDocument, this.observer);
-    this.observer = null;
+    this._assertObserving();
+    this.base = null;
   }
 
   /**
    * Stops observing for changes, and returns a changeset document (based on
    * JSON Patch), for sending updates to ledger.
    *
+   * The patch is validated first (see `validatePatch()`); if it is invalid,
+   * an `InvalidPatchError` is thrown and changes are still being observed,
+   * so that they can be fixed and committed again.
+   *
    * @returns {object} A changeset document.
    */
   commit() {
-    if(!this.observer) {
-      throw new Error('Not observing changes.');
+    this._assertObserving();
+    const patch = jsonPatchCompare(this.base, this.didDocument);
+    const {valid, error} = validatePatch({didDocument: this.base, patch});
+    if(!valid) {
+      throw error;
     }
-    const patch = jsonPatchGenerate(this.observer);
 
     this.unobserve();
     const sequence = this.meta.sequence;
@@ -70,4 +78,298 @@ export class DidDocumentUpdater {
       target: this.didDocument.id,
     };
   }
+
+  /**
+   * Describes the changes made so far (see `describePatch()`), for example
+   * to show them to whoever approves the update before it is committed.
+   *
+   * @returns {Array<object>} The change records, each with an `action`,
+   *   `property`, `id` or `value`, and `description`.
+   */
+  describeChanges() {
+    const didDocument = this._assertObserving();
+    return describePatch({
+      didDocument, patch: jsonPatchCompare(didDocument, this.didDocument)
+    });
+  }
+
+  /**
+   * Returns the patch that reverts the changes made so far. Once the update
+   * is on the ledger, sending it as a changeset (`{target, patch}`) reverts
+   * the update.
+   *
+   * @returns {Array<object>} The inverse JSON Patch operations.
+   */
+  inversePatch() {
+    const didDocument = this._assertObserving();
+    return invertPatch({
+      didDocument, patch: jsonPatchCompare(didDocument, this.didDocument)
+    });
+  }
+
+  /**
+   * Adds a verification method (to `verificationMethod`), and references it
+   * from the given verification relationships.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.keyPair - The key pair to add (only its public
+   *   key is added). If it has no `id`, one is created from the DID and the
+   *   key's fingerprint.
+   * @param {Array<string>} [options.purposes=[]] - Verification relationships
+   *   ('authentication', 'assertionMethod', etc) to add the method to.
+   *
+   * @returns {object} The added verification method.
+   */
+  addVerificationMethod({keyPair, purposes = []} = {}) {
+    if(!keyPair) {
+      throw new TypeError('The "keyPair" parameter is required.');
+    }
+    purposes.forEach(_assertPurpose);
+    const {didDocument} = this;
+    const id = keyPair.id || `${didDocument.id}#${keyPair.fingerprint()}`;
+    if(_findMethod({didDocument, id})) {
+      throw new Error(`Verification method "${id}" already exists.`);
+    }
+    keyPair.id = id;
+    keyPair.controller = keyPair.controller || didDocument.id;
+    const method = keyPair.export({publicKey: true});
+    _addContext({didDocument, context: keyPair.constructor.SUITE_CONTEXT});
+    didDocument.verificationMethod = [
+      ...didDocument.verificationMethod || [], method
+    ];
+    for(const purpose of purposes) {
+      this.addRelationship(id, purpose);
+    }
+    return method;
+  }
+
+  /**
+   * Removes a verification method, along with every reference to it (or
+   * embedded copy of it) in the verification relationships.
+   *
+   * @param {string} id - The verification method id.
+   */
+  removeVerificationMethod(id) {
+    const {didDocument} = this;
+    if(!_findMethod({didDocument, id})) {
+      throw new Error(`Verification method "${id}" not found.`);
+    }
+    for(const property of METHOD_PROPERTIES) {
+      _setEntries({
+        didDocument, property,
+        entries: _entries({didDocument, property})
+          .filter(entry => _entryId(entry) !== id)
+      });
+    }
+  }
+
+  /**
+   * Adds an existing verification method to a verification relationship (by
+   * reference). A method that was embedded in another relationship is moved
+   * to `verificationMethod` first, so that it is only defined once.
+   *
+   * @param {string} id - The verification method id.
+   * @param {string} purpose - The verification relationship
+   *   ('authentication', 'assertionMethod', etc).
+   */
+  addRelationship(id, purpose) {
+    _assertPurpose(purpose);
+    const {didDocument} = this;
+    const method = _findMethod({didDocument, id});
+    if(!method) {
+      throw new Error(`Verification method "${id}" not found.`);
+    }
+    const entries = _entries({didDocument, property: purpose});
+    if(entries.some(entry => _entryId(entry) === id)) {
+      return;
+    }
+    _defineInVerificationMethod({didDocument, method});
+    _setEntries({didDocument, property: purpose, entries: [...entries, id]});
+  }
+
+  /**
+   * Removes a verification method from a verification relationship. A
+   * method that was only embedded in that relationship is removed from the
+   * DID Document; if other relationships still reference it, it is moved to
+   * `verificationMethod` instead.
+   *
+   * @param {string} id - The verification method id.
+   * @param {string} purpose - The verification relationship.
+   */
+  removeRelationship(id, purpose) {
+    _assertPurpose(purpose);
+    const {didDocument} = this;
+    const entries = _entries({didDocument, property: purpose});
+    const entry = entries.find(entry => _entryId(entry) === id);
+    if(!entry) {
+      throw new Error(
+        `Verification method "${id}" is not in "${purpose}".`);
+    }
+    _setEntries({
+      didDocument, property: purpose,
+      entries: entries.filter(e => e !== entry)
+    });
+    const referenced = VERIFICATION_RELATIONSHIPS.some(property =>
+      _entries({didDocument, property}).some(e => _entryId(e) === id));
+    if(typeof entry === 'object' && referenced) {
+      _defineInVerificationMethod({didDocument, method: entry});
+    }
+  }
+
+  /**
+   * Adds a service endpoint. It is validated (together with the existing
+   * services) before the DID Document is changed.
+   *
+   * @param {object} service - The service; its `id` may be relative to the
+   *   DID (`#<fragment>`).
+   *
+   * @returns {object} The added service.
+   */
+  addService(service) {
+    const {didDocument} = this;
+    if(!service || typeof service !== 'object') {
+      throw new TypeError('The "service" parameter must be an object.');
+    }
+    const entry = {
+      ...service, id: serviceId({did: didDocument.id, id: service.id})
+    };
+    const services = [..._entries({didDocument, property: 'service'}), entry];
+    _assertValidServices({didDocument, services});
+    didDocument.service = services;
+    return entry;
+  }
+
+  /**
+   * Updates a service endpoint, merging the given changes into it (its `id`
+   * cannot be changed). The result is validated before the DID Document is
+   * changed.
+   *
+   * @param {string} id - The service id (absolute, or `#<fragment>`).
+   * @param {object} changes - The properties to set, such as `type` or
+   *   `serviceEndpoint`.
+   *
+   * @returns {object} The updated service.
+   */
+  updateService(id, changes) {
+    const {didDocument} = this;
+    if(!changes || typeof changes !== 'object') {
+      throw new TypeError('The "changes" parameter must be an object.');
+    }
+    id = serviceId({did: didDocument.id, id});
+    const services = _entries({didDocument, property: 'service'});
+    const index = services.findIndex(service => service.id === id);
+    if(index === -1) {
+      throw new Error(`Service "${id}" not found.`);
+    }
+    const updated = {...services[index], ...changes, id};
+    const entries = services.map((s, i) => i === index ? updated : s);
+    _assertValidServices({didDocument, services: entries});
+    didDocument.service = entries;
+    return updated;
+  }
+
+  /**
+   * Removes a service endpoint.
+   *
+   * @param {string} id - The service id (absolute, or `#<fragment>`).
+   */
+  removeService(id) {
+    const {didDocument} = this;
+    id = serviceId({did: didDocument.id, id});
+    const services = _entries({didDocument, property: 'service'});
+    if(!services.some(service => service.id === id)) {
+      throw new Error(`Service "${id}" not found.`);
+    }
+    _setEntries({
+      didDocument, property: 'service',
+      entries: services.filter(service => service.id !== id)
+    });
+  }
+
+  // returns the DID Document as it was when observing started
+  _assertObserving() {
+    if(!this.base) {
+      throw new Error('Not observing changes.');
+    }
+    return this.base;
+  }
+}
+
+function _assertValidServices({didDocument, services}) {
+  const {valid, error} = validateServices({
+    didDocument: {...didDocument, service: services}
+  });
+  if(!valid) {
+    throw error;
+  }
+}
+
+function _assertPurpose(purpose) {
+  if(!VERIFICATION_RELATIONSHIPS.includes(purpose)) {
+    throw new TypeError(`Unknown verification relationship "${purpose}".`);
+  }
+}
+
+function _entries({didDocument, property}) {
+  const entries = didDocument[property];
+  if(entries === undefined) {
+    return [];
+  }
+  return Array.isArray(entries) ? entries : [entries];
+}
+
+// empty properties are removed (like `generate()`, which omits them)
+function _setEntries({didDocument, property, entries}) {
+  if(entries.length > 0) {
+    didDocument[property] = entries;
+  } else if(property in didDocument) {
+    delete didDocument[property];
+  }
+}
+
+function _entryId(entry) {
+  return typeof entry === 'string' ? entry : entry.id;
+}
+
+// finds a verification method definition, wherever it is embedded
+function _findMethod({didDocument, id}) {
+  for(const property of METHOD_PROPERTIES) {
+    const method = _entries({didDocument, property}).find(
+      entry => typeof entry === 'object' && entry.id === id);
+    if(method) {
+      return method;
+    }
+  }
+}
+
+// moves a method embedded in verification relationships to
+// `verificationMethod`, replacing the embedded copies with references
+function _defineInVerificationMethod({didDocument, method}) {
+  const {id} = method;
+  const defined = _entries({didDocument, property: 'verificationMethod'});
+  if(defined.some(entry => entry.id === id)) {
+    return;
+  }
+  for(const property of VERIFICATION_RELATIONSHIPS) {
+    const entries = _entries({didDocument, property});
+    if(entries.some(entry => typeof entry === 'object' && entry.id === id)) {
+      _setEntries({
+        didDocument, property,
+        entries: entries.map(entry => _entryId(entry) === id ? id : entry)
+      });
+    }
+  }
+  _setEntries({
+    didDocument, property: 'verificationMethod', entries: [...defined, method]
+  });
+}
+
+function _addContext({didDocument, context}) {
+  if(!context) {
+    return;
+  }
+  const contexts = _entries({didDocument, property: '@context'});
+  if(!contexts.includes(context)) {
+    didDocument['@context'] = [...contexts, context];
+  }
 }
@@ -0,0 +1,185 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import * as EcdsaMultikeyLib from '@digitalbazaar/ecdsa-multikey';
+import {MULTIKEY_CONTEXT_URL} from './constants.js';
+
+// multibase (base58-btc) prefixes of multicodec p256-pub and p384-pub keys
+const CURVE_PREFIXES = new Map([['P-256', 'zDn'], ['P-384', 'z82']]);
+
+/**
+ * An ECDSA (NIST P-256 or P-384 curve) key pair serialized as a Data
+ * Integrity `Multikey` verification method. It wraps an
+ * `@digitalbazaar/ecdsa-multikey` key pair with the (synchronous) key pair
+ * interface that the driver uses for `Ed25519VerificationKey2020` key pairs:
+ * `fingerprint()`, `verifyFingerprint()` and `export()`.
+ *
+ * ECDSA keys can be used for authentication, assertions and capability
+ * delegation; Veres One ledger operations are signed with Ed25519 keys.
+ */
+export class EcdsaMultikey {
+  /**
+   * Use `EcdsaMultikey.from()` or `EcdsaMultikey.generate()` instead.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.keyPair - An `@digitalbazaar/ecdsa-multikey`
+   *   key pair.
+   * @param {string} [options.id] - The key id.
+   * @param {string} [options.controller] - The key controller.
+   * @param {string} [options.revoked] - When the key was revoked.
+   */
+  constructor({keyPair, id, controller, revoked} = {}) {
+    this.type = EcdsaMultikey.suite;
+    this.id = id;
+    this.controller = controller;
+    this.revoked = revoked;
+    this.publicKeyMultibase = keyPair.publicKeyMultibase;
+    this.secretKeyMultibase = keyPair.secretKeyMultibase;
+    this.curve = [...CURVE_PREFIXES.keys()].find(
+      curve => this.publicKeyMultibase.startsWith(CURVE_PREFIXES.get(curve)));
+    if(!this.curve) {
+      throw new TypeError(
+        'Only P-256 and P-384 ECDSA keys are supported: ' +
+        `"${this.publicKeyMultibase}".`);
+    }
+    this._keyPair = keyPair;
+  }
+
+  /**
+   * Creates a key pair from a serialized ECDSA `Multikey` key pair (or one
+   * in another format that `@digitalbazaar/ecdsa-multikey` imports, such as
+   * `JsonWebKey2020`).
+   *
+   * @param {object} options - Serialized key pair.
+   *
+   * @returns {Promise<EcdsaMultikey>} Resolves with the key pair.
+   */
+  static async from(options) {
+    const {
+      id, controller, revoked, type = 'Multikey', publicKeyMultibase,
+      secretKeyMultibase, publicKeyJwk
+    } = options;
+    const keyPair = await EcdsaMultikeyLib.from({
+      type, publicKeyMultibase, secretKeyMultibase, publicKeyJwk
+    });
+    return new EcdsaMultikey({keyPair, id, controller, revoked});
+  }
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.curve='P-256'] - 'P-256' or 'P-384'.
+   * @param {string} [options.id] - The key id.
+   * @param {string} [options.controller] - The key controller.
+   *
+   * @returns {Promise<EcdsaMultikey>} Resolves with the key pair.
+   */
+  static async generate({curve = 'P-256', id, controller} = {}) {
+    if(!CURVE_PREFIXES.has(curve)) {
+      throw new TypeError(`Unsupported ECDSA curve "${curve}".`);
+    }
+    const keyPair = await EcdsaMultikeyLib.generate({curve});
+    const key = new EcdsaMultikey({keyPair, id, controller});
+    if(controller && !id) {
+      key.id = `${controller}#${key.fingerprint()}`;
+    }
+    return key;
+  }
+
+  /**
+   * Creates a (public) key pair from a key fingerprint.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.fingerprint - Multibase encoded key fingerprint.
+   *
+   * @returns {Promise<EcdsaMultikey>} Resolves with the key pair.
+   */
+  static async fromFingerprint({fingerprint} = {}) {
+    return EcdsaMultikey.from({publicKeyMultibase: fingerprint});
+  }
+
+  /**
+   * @returns {string} The key fingerprint (its multibase encoded public key).
+   */
+  fingerprint() {
+    return this.publicKeyMultibase;
+  }
+
+  /**
+   * Checks that a fingerprint matches the public key.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.fingerprint - Multibase encoded key fingerprint.
+   *
+   * @returns {{valid: boolean, error: Error}} The verification result.
+   */
+  verifyFingerprint({fingerprint} = {}) {
+    if(fingerprint !== this.publicKeyMultibase) {
+      return {
+        valid: false,
+        error: new Error('The fingerprint does not match the public key.')
+      };
+    }
+    return {valid: true};
+  }
+
+  /**
+   * Exports the key pair as a `Multikey` verification method.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.publicKey] - Export public key material?
+   * @param {boolean} [options.secretKey] - Export secret key material?
+   * @param {boolean} [options.privateKey] - Alias of `secretKey`.
+   * @param {boolean} [options.includeContext] - Include JSON-LD context?
+   *
+   * @returns {object} The serialized key pair.
+   */
+  export({
+    publicKey = false, secretKey = false, privateKey = false,
+    includeContext = false
+  } = {}) {
+    if(!(publicKey || secretKey || privateKey)) {
+      throw new TypeError(
+        'Export requires specifying either "publicKey" or "secretKey".');
+    }
+    const exported = {};
+    if(includeContext) {
+      exported['@context'] = EcdsaMultikey.SUITE_CONTEXT;
+    }
+    exported.id = this.id;
+    exported.type = this.type;
+    if(this.controller) {
+      exported.controller = this.controller;
+    }
+    if(publicKey) {
+      exported.publicKeyMultibase = this.publicKeyMultibase;
+    }
+    if((secretKey || privateKey) && this.secretKeyMultibase) {
+      exported.secretKeyMultibase = this.secretKeyMultibase;
+    }
+    if(this.revoked) {
+      exported.revoked = this.revoked;
+    }
+    return exported;
+  }
+
+  /**
+   * @returns {{sign: Function, id: string, algorithm: string}} A signer
+   *   (for the secret key).
+   */
+  signer() {
+    return {...this._keyPair.signer(), id: this.id};
+  }
+
+  /**
+   * @returns {{verify: Function, id: string, algorithm: string}} A verifier
+   *   (for the public key).
+   */
+  verifier() {
+    return {...this._keyPair.verifier(), id: this.id};
+  }
+}
+
+EcdsaMultikey.suite = 'Multikey';
+EcdsaMultikey.SUITE_CONTEXT = MULTIKEY_CONTEXT_URL;
@@ -0,0 +1,105 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {MULTIKEY_CONTEXT_URL} from './constants.js';
+
+/**
+ * An Ed25519 key pair serialized as a Data Integrity `Multikey` verification
+ * method. It has the same multibase encoded (and fingerprint derived) keys as
+ * `Ed25519VerificationKey2020`, which it extends; only its `type`, context
+ * and secret key property (`secretKeyMultibase`) differ. It can be used
+ * anywhere an `Ed25519VerificationKey2020` key pair is, including to sign
+ * with `Ed25519Signature2020`.
+ *
+ * `@digitalbazaar/ed25519-multikey` is not used here: its key pairs are plain
+ * objects, without the `LDKeyPair` interface (a synchronous `export()`,
+ * `fingerprint()` and `fromFingerprint()`) that the driver, CryptoLD and the
+ * X25519 key derivation need. This class adds no crypto of its own.
+ */
+export class Ed25519Multikey extends Ed25519VerificationKey2020 {
+  /**
+   * @param {object} options - Key pair options, see
+   *   `Ed25519VerificationKey2020`.
+   * @param {string} [options.secretKeyMultibase] - Multibase secret key (the
+   *   Multikey name of `privateKeyMultibase`, which is accepted as well).
+   */
+  constructor({secretKeyMultibase, ...options} = {}) {
+    super({
+      ...options,
+      privateKeyMultibase: options.privateKeyMultibase ?? secretKeyMultibase
+    });
+    this.type = Ed25519Multikey.suite;
+  }
+
+  /**
+   * Creates a key pair from a serialized `Multikey` (or
+   * `Ed25519VerificationKey2020`) key pair.
+   *
+   * @param {object} options - Serialized key pair.
+   *
+   * @returns {Promise<Ed25519Multikey>} Resolves with the key pair.
+   */
+  static async from(options) {
+    return new Ed25519Multikey(options);
+  }
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param {object} [options={}] - Options hashmap, see
+   *   `Ed25519VerificationKey2020.generate()`.
+   *
+   * @returns {Promise<Ed25519Multikey>} Resolves with the key pair.
+   */
+  static async generate(options) {
+    const {publicKeyMultibase, privateKeyMultibase} = await super.generate(
+      options);
+    return new Ed25519Multikey(
+      {...options, publicKeyMultibase, privateKeyMultibase});
+  }
+
+  /**
+   * Creates a (public) key pair from a key fingerprint.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.fingerprint - Multibase encoded key fingerprint.
+   *
+   * @returns {Ed25519Multikey} The key pair.
+   */
+  static fromFingerprint({fingerprint} = {}) {
+    return new Ed25519Multikey({publicKeyMultibase: fingerprint});
+  }
+
+  /**
+   * Exports the key pair as a `Multikey` verification method.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.publicKey] - Export public key material?
+   * @param {boolean} [options.secretKey] - Export secret key material?
+   * @param {boolean} [options.privateKey] - Alias of `secretKey`.
+   * @param {boolean} [options.includeContext] - Include JSON-LD context?
+   *
+   * @returns {object} The serialized key pair.
+   */
+  export({
+    publicKey = false, secretKey = false, privateKey = false,
+    includeContext = false
+  } = {}) {
+    const {
+      privateKeyMultibase, ...exported
+    } = super.export({publicKey, privateKey: secretKey || privateKey});
+    if(includeContext) {
+      exported['@context'] = Ed25519Multikey.SUITE_CONTEXT;
+    }
+    if(privateKeyMultibase) {
+      exported.secretKeyMultibase = privateKeyMultibase;
+    }
+    return exported;
+  }
+}
+
+Ed25519Multikey.suite = 'Multikey';
+Ed25519Multikey.SUITE_CONTEXT = MULTIKEY_CONTEXT_URL;
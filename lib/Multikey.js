@@ -0,0 +1,55 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {EcdsaMultikey} from './EcdsaMultikey.js';
+import {Ed25519Multikey} from './Ed25519Multikey.js';
+import {MULTIKEY_CONTEXT_URL} from './constants.js';
+
+// multibase (base58-btc) prefix of multicodec ed25519-pub keys
+const ED25519_PREFIX = 'z6Mk';
+
+/**
+ * The `Multikey` suite for `CryptoLD`. Every Multikey verification method
+ * has the same `type`, so this imports each one with the key pair class of
+ * its key's curve: `Ed25519Multikey` or `EcdsaMultikey` (P-256 and P-384).
+ */
+export const Multikey = {
+  suite: 'Multikey',
+  SUITE_CONTEXT: MULTIKEY_CONTEXT_URL,
+
+  /**
+   * Creates a key pair from a serialized Multikey key pair.
+   *
+   * @param {object} options - Serialized key pair.
+   *
+   * @returns {Promise<Ed25519Multikey|EcdsaMultikey>} Resolves with the key
+   *   pair.
+   */
+  async from(options) {
+    const {publicKeyMultibase} = options;
+    if(typeof publicKeyMultibase !== 'string') {
+      throw new TypeError('"publicKeyMultibase" must be a string.');
+    }
+    if(publicKeyMultibase.startsWith(ED25519_PREFIX)) {
+      return Ed25519Multikey.from(options);
+    }
+    return EcdsaMultikey.from(options);
+  },
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {string} [options.curve='Ed25519'] - 'Ed25519', 'P-256' or
+   *   'P-384'.
+   *
+   * @returns {Promise<Ed25519Multikey|EcdsaMultikey>} Resolves with the key
+   *   pair.
+   */
+  async generate({curve = 'Ed25519', ...options} = {}) {
+    if(curve === 'Ed25519') {
+      return Ed25519Multikey.generate(options);
+    }
+    return EcdsaMultikey.generate({curve, ...options});
+  }
+};
@@ -0,0 +1,246 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+
+/**
+ * A key/value store used by `ResolutionCache`. Any object implementing
+ * these (async) methods may be used, for example, to share a cache between
+ * processes:
+ *
+ * - `get(key)` - Resolves with the stored value, or `undefined` if the key
+ *   is not found or has expired.
+ * - `set(key, value, {ttl})` - Stores a value, expiring after `ttl` ms.
+ * - `delete(key)` - Removes a value.
+ * - `clear()` - Removes all values.
+ *
+ * @typedef {object} CacheStore
+ */
+
+/**
+ * In-memory least-recently-used store, with per-entry expiration.
+ */
+export class LruStore {
+  /**
+   * @param {object} [options={}] - Options hashmap.
+   * @param {number} [options.maxSize=1000] - Max number of entries; the
+   *   least recently used entries are evicted beyond this.
+   */
+  constructor({maxSize = 1000} = {}) {
+    if(!(Number.isInteger(maxSize) && maxSize > 0)) {
+      throw new TypeError('"maxSize" must be a positive integer.');
+    }
+    this.maxSize = maxSize;
+    // Map iteration order is insertion order, so the first entry is always
+    // the least recently used one
+    this._entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this._entries.get(key);
+    if(!entry) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    if(entry.expires <= Date.now()) {
+      return undefined;
+    }
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, {ttl = Infinity} = {}) {
+    this._entries.delete(key);
+    this._entries.set(key, {value, expires: Date.now() + ttl});
+    while(this._entries.size > this.maxSize) {
+      const [oldest] = this._entries.keys();
+      this._entries.delete(oldest);
+    }
+  }
+
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  async clear() {
+    this._entries.clear();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+}
+
+/**
+ * Caches resolved DID Documents (including "not found" results) and
+ * dereferenced verification methods, per DID.
+ *
+ * Entries are keyed by DID, so that all entries for a DID can be invalidated
+ * without tracking them separately (which would not work for stores shared
+ * between processes). Specific versions (`versionId`) are immutable and
+ * cached as well; lookups by `versionTime` are not cached.
+ */
+export class ResolutionCache {
+  /**
+   * @param {object} [options={}] - Options hashmap.
+   * @param {CacheStore} [options.store] - The store to use; defaults to an
+   *   in-memory `LruStore` of `maxSize` entries.
+   * @param {number} [options.maxSize=1000] - Max number of entries in the
+   *   default store.
+   * @param {number} [options.ttl=60000] - Time to live (in ms) of resolved
+   *   DID Documents and keys.
+   * @param {number} [options.negativeTtl=5000] - Time to live (in ms) of
+   *   "not found" results; `0` disables negative caching.
+   */
+  constructor({store, maxSize, ttl = 60000, negativeTtl = 5000} = {}) {
+    this.store = store || new LruStore({maxSize});
+    this.ttl = ttl;
+    this.negativeTtl = negativeTtl;
+  }
+
+  /**
+   * Gets a cached DID Document fetch result.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri.
+   * @param {number|string} [options.versionId] - Ledger record sequence.
+   *
+   * @returns {Promise<object>} Resolves with `{didDocument, meta, source}`,
+   *   `{notFound: true}` for a cached "not found" result, or `undefined` if
+   *   not cached.
+   */
+  async getDocument({did, versionId}) {
+    const value = await this.store.get(_documentKey({did, versionId}));
+    return value && structuredClone(value);
+  }
+
+  /**
+   * Caches a DID Document fetch result.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri.
+   * @param {number|string} [options.versionId] - Ledger record sequence.
+   * @param {object} options.result - The `{didDocument, meta, source}` fetch
+   *   result.
+   *
+   * @returns {Promise} Resolves once cached.
+   */
+  async setDocument({did, versionId, result}) {
+    await this.store.set(
+      _documentKey({did, versionId}), structuredClone(result),
+      {ttl: this.ttl});
+  }
+
+  /**
+   * Caches a "not found" result for a DID. Since a DID may be registered
+   * at any time, this expires after `negativeTtl`.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri.
+   *
+   * @returns {Promise} Resolves once cached.
+   */
+  async setNotFound({did}) {
+    if(!(this.negativeTtl > 0)) {
+      return;
+    }
+    await this.store.set(
+      _documentKey({did}), {notFound: true}, {ttl: this.negativeTtl});
+  }
+
+  /**
+   * Gets a cached (exported) verification method.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.methodId - Verification method id.
+   *
+   * @returns {Promise<object>} Resolves with the key, or `undefined`.
+   */
+  async getKey({methodId}) {
+    const [did] = methodId.split('#');
+    const keys = await this._getKeys({did});
+    const entry = keys[methodId];
+    return entry && structuredClone(entry.key);
+  }
+
+  /**
+   * Caches an (exported) verification method. The keys of a DID share a
+   * store entry (so that `invalidate()` removes them all), but each one
+   * expires `ttl` ms after it was cached; expired keys are pruned from the
+   * entry, which expires with the last of them.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.methodId - Verification method id.
+   * @param {object} options.key - The exported public key.
+   *
+   * @returns {Promise} Resolves once cached.
+   */
+  async setKey({methodId, key}) {
+    const [did] = methodId.split('#');
+    const keys = await this._getKeys({did});
+    keys[methodId] = {
+      key: structuredClone(key), expires: Date.now() + this.ttl
+    };
+    await this._setKeys({did, keys});
+  }
+
+  /**
+   * Removes the cached DID Document and keys for a DID (for example, after
+   * it has been registered or updated).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri.
+   *
+   * @returns {Promise} Resolves once invalidated.
+   */
+  async invalidate({did}) {
+    await Promise.all([
+      this.store.delete(_documentKey({did})),
+      this.store.delete(_keysKey({did}))
+    ]);
+  }
+
+  /**
+   * Removes all cached entries.
+   *
+   * @returns {Promise} Resolves once cleared.
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  // gets the unexpired keys of a DID, pruning the expired ones from the
+  // store
+  async _getKeys({did}) {
+    const stored = await this.store.get(_keysKey({did})) || {};
+    const now = Date.now();
+    const keys = Object.fromEntries(Object.entries(stored).filter(
+      ([, {expires}]) => expires > now));
+    if(Object.keys(keys).length < Object.keys(stored).length) {
+      await this._setKeys({did, keys});
+    }
+    return keys;
+  }
+
+  // stores the keys of a DID, until the last one of them expires
+  async _setKeys({did, keys}) {
+    const expires = Math.max(...Object.values(keys).map(
+      ({expires}) => expires));
+    if(!(expires > Date.now())) {
+      await this.store.delete(_keysKey({did}));
+      return;
+    }
+    await this.store.set(
+      _keysKey({did}), keys, {ttl: expires - Date.now()});
+  }
+}
+
+function _documentKey({did, versionId}) {
+  if(versionId !== undefined) {
+    return `document:${did}?versionId=${Number(versionId)}`;
+  }
+  return `document:${did}`;
+}
+
+function _keysKey({did}) {
+  return `keys:${did}`;
+}
@@ -1,12 +1,17 @@
 /*!
- * Copyright (c) 2018-2023 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 import * as base64url from 'base64url-universal';
 import {
   createAuthzHeader, createSignatureString
 } from '@digitalbazaar/http-signature-header';
+import {DEFAULT_RETRY, withRetry, withTimeout} from './retry.js';
+import {
+  DidNotFoundError, InvalidLedgerResponseError, LedgerUnavailableError,
+  OperationRejectedError, TicketServiceError
+} from './errors.js';
+import {WEB_LEDGER_CONTEXT_URL, ZCAP_CONTEXT_URL} from './constants.js';
 import {httpClient} from '@digitalbazaar/http-client';
-import {VeresOneClientError} from './VeresOneClientError.js';
 import {WebLedgerClient} from 'web-ledger-client';
 
 /**
@@ -22,26 +27,97 @@ import {WebLedgerClient} from 'web-ledger-client';
 export class VeresOneClient {
   /**
    * @param {object} options - Options hashmap.
-   * @param {string} options.hostname - Hostname of the ledger (points to a load
-   *   balancer or a specific node).
-   * @param {WebLedgerClient} [options.ledger] - Web Ledger Client instance.
-
+   * @param {string} [options.hostname] - Hostname of the ledger (points to a
+   *   load balancer or a specific node). Either this or `hostnames` is
+   *   required.
+   * @param {Array<string>} [options.hostnames] - Hostnames of several ledger
+   *   nodes; requests fail over from one node to the next when a node
+   *   cannot be reached or returns a server error.
+   * @param {WebLedgerClient} [options.ledger] - Web Ledger Client instance
+   *   (for a single node).
    * @param {string} [options.mode] - One of 'dev'/'test'/'live'.
    * @param {Agent} [options.httpsAgent] - A NodeJS HTTPS Agent (`https.Agent`)
    *   instance.
    * @param {object} [options.logger=console] - Logger instance (with .log(),
    *   warn() and error() methods).
+   * @param {number} [options.readQuorum=1] - Number of nodes to read each
+   *   record from; if greater than 1, the records returned by the nodes are
+   *   compared, and an error is thrown if they differ.
+   * @param {number} [options.failureCooldown=30000] - How long (in ms) a
+   *   failing node is skipped for, before being tried again.
+   * @param {number} [options.timeout=30000] - Default timeout (in ms) of each
+   *   HTTP request to the ledger (per attempt).
+   * @param {object} [options.retry] - Default retry policy for idempotent
+   *   requests (reads and ticket service proofs), on network errors,
+   *   timeouts and server errors: `{retries=2, minDelay=250, maxDelay=5000,
+   *   factor=2}`. Delays use exponential backoff with jitter.
    */
-  constructor({hostname, ledger, mode, httpsAgent, logger = console}) {
-    this.hostname = hostname;
-    if(!hostname) {
+  constructor({
+    hostname, hostnames, ledger, mode, httpsAgent, logger = console,
+    readQuorum = 1, failureCooldown = 30000, timeout = 30000, retry = {}
+  }) {
+    if(!hostnames) {
+      hostnames = hostname ? [hostname] : [];
+    }
+    if(!(Array.isArray(hostnames) && hostnames.length > 0)) {
       throw new TypeError('The "hostname" parameter is required.');
     }
+    if(ledger && hostnames.length > 1) {
+      throw new TypeError(
+        'The "ledger" parameter cannot be used with several "hostnames".');
+    }
+    if(!(Number.isInteger(readQuorum) &&
+      readQuorum > 0 && readQuorum <= hostnames.length)) {
+      throw new TypeError(
+        '"readQuorum" must be an integer between 1 and the number of ' +
+        'ledger nodes.');
+    }
 
-    this.ledger = ledger || new WebLedgerClient({httpsAgent, hostname, logger});
+    this.nodes = hostnames.map(hostname => ({
+      hostname,
+      ledger: ledger ||
+        new WebLedgerClient({httpsAgent, hostname, logger, timeout}),
+      unhealthyUntil: 0
+    }));
+    this._current = 0;
     this.mode = mode;
     this.logger = logger;
     this.httpsAgent = httpsAgent;
+    this.readQuorum = readQuorum;
+    this.failureCooldown = failureCooldown;
+    this.timeout = timeout;
+    this.retry = {...DEFAULT_RETRY, ...retry};
+  }
+
+  /**
+   * @returns {string} Hostname of the ledger node currently in use.
+   */
+  get hostname() {
+    return this.nodes[this._current].hostname;
+  }
+
+  /**
+   * @param {string} hostname - Replaces the hostname of the ledger node
+   *   currently in use.
+   */
+  set hostname(hostname) {
+    this.nodes[this._current].hostname = hostname;
+  }
+
+  /**
+   * @returns {WebLedgerClient} Web Ledger Client of the ledger node currently
+   *   in use.
+   */
+  get ledger() {
+    return this.nodes[this._current].ledger;
+  }
+
+  /**
+   * @param {WebLedgerClient} ledger - Replaces the Web Ledger Client of the
+   *   ledger node currently in use (for example, with a stub).
+   */
+  set ledger(ledger) {
+    this.nodes[this._current].ledger = ledger;
   }
 
   /**
@@ -50,46 +126,236 @@ export class VeresOneClient {
    *
    * @param {object} options - Options hashmap.
    * @param {string} options.did - DID authority uri (without hash fragment).
+   * @param {number|string} [options.versionId] - The record `sequence` to
+   *   fetch.
+   * @param {Date|string} [options.versionTime] - Fetch the version of the
+   *   record that was current at this time.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Per-attempt timeout override (ms).
+   * @param {object} [options.retry] - Retry policy override.
    *
    * @returns {Promise<object>} Resolves to DID Document Fetch Result.
    */
-  async get({did} = {}) {
+  async get({did, ...options} = {}) {
+    const {didDocument} = await this.getRecord({did, ...options});
+    return didDocument;
+  }
+
+  /**
+   * Fetches the ledger record for a given DID, along with the record's
+   * ledger metadata (such as its `sequence`). By default, the latest version
+   * of the record is fetched; pass either `versionId` or `versionTime` to
+   * fetch the record as it was at a given point in its history.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri (without hash fragment).
+   * @param {number|string} [options.versionId] - The record `sequence` to
+   *   fetch.
+   * @param {Date|string} [options.versionTime] - Fetch the version of the
+   *   record that was current at this time.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Per-attempt timeout override (ms).
+   * @param {object} [options.retry] - Retry policy override.
+   *
+   * @returns {Promise<{didDocument: object, meta: object}>} Resolves with the
+   *   DID Document and its ledger metadata.
+   */
+  async getRecord({
+    did, versionId, versionTime, signal, timeout = this.timeout, retry
+  } = {}) {
     if(!did) {
       throw new TypeError('Invalid or missing DID URI.');
     }
-    const {record: didDocument} = await this.ledger.getRecord({id: did});
+    if(versionId !== undefined && versionTime !== undefined) {
+      throw new TypeError(
+        'Only one of "versionId" or "versionTime" may be given.');
+    }
+    if(versionId !== undefined || versionTime !== undefined) {
+      ({versionId, versionTime} = _validateVersion({versionId, versionTime}));
+    }
+    const read = (ledger, signal) => this._getRecord(
+      {ledger, did, versionId, versionTime, signal, timeout});
+    return this._retry(
+      () => this._read(read, {signal, timeout}), {signal, retry});
+  }
 
-    return didDocument;
+  /**
+   * Checks the health of every ledger node (by fetching its status), and
+   * switches to the first healthy node.
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {AbortSignal} [options.signal] - Cancels the health check.
+   * @param {number} [options.timeout] - Timeout override (ms).
+   *
+   * @returns {Promise<Array<{hostname: string, healthy: boolean,
+   *   error: Error}>>} Resolves with the health of each node.
+   */
+  async checkHealth({signal, timeout = this.timeout} = {}) {
+    const results = await Promise.all(this.nodes.map(async node => {
+      try {
+        await withTimeout(
+          signal => this._getStatus({ledger: node.ledger, signal, timeout}),
+          {timeout, signal});
+        node.unhealthyUntil = 0;
+        return {hostname: node.hostname, healthy: true};
+      } catch(error) {
+        if(signal?.aborted) {
+          throw error;
+        }
+        node.unhealthyUntil = Date.now() + this.failureCooldown;
+        return {hostname: node.hostname, healthy: false, error};
+      }
+    }));
+    const healthy = results.findIndex(({healthy}) => healthy);
+    if(healthy !== -1) {
+      this._current = healthy;
+    }
+    return results;
+  }
+
+  // web-ledger-client does not accept an `AbortSignal`, so records are
+  // fetched here, with the `signal` passed on to the HTTP request; only the
+  // ledger agent document (fetched once per node) is fetched by it
+  async _getRecord({ledger, did, versionId, versionTime, signal, timeout}) {
+    const searchParams = new URLSearchParams({id: did});
+    if(versionId !== undefined) {
+      searchParams.set('versionId', String(versionId));
+    }
+    if(versionTime !== undefined) {
+      searchParams.set('versionTime', versionTime);
+    }
+
+    const baseURL = await ledger.getServiceEndpoint(
+      {serviceId: 'ledgerQueryService'});
+    let response;
+    try {
+      response = await httpClient.post(baseURL, {
+        searchParams,
+        // send an empty body
+        json: {},
+        agent: this.httpsAgent,
+        signal,
+        timeout
+      });
+    } catch(e) {
+      const {response} = e;
+      if(!response) {
+        throw e;
+      }
+      if(response.status === 404) {
+        throw new DidNotFoundError(
+          'Record not found.',
+          {baseURL, did, versionId, versionTime, status: response.status});
+      }
+      if(response.status === 410) {
+        throw new DidNotFoundError('Record has been deactivated.', {
+          baseURL, did, versionId, versionTime, status: response.status,
+          deactivated: true
+        });
+      }
+      const error = new LedgerUnavailableError('Error retrieving record.', {
+        baseURL, did, versionId, versionTime, error: e,
+        status: response.status
+      });
+      // errors in this range might contain response data
+      if(response.status > 399 && response.status < 500) {
+        // httpClient puts the error on the data object
+        error.details.error = e.data || response.data || e;
+      }
+      throw error;
+    }
+
+    const {record: didDocument, meta = {}} = response.data || {};
+    if(!didDocument) {
+      throw new InvalidLedgerResponseError(
+        'Fetched Record has empty body/"record" property.',
+        {baseURL, did, versionId, versionTime});
+    }
+    // guard against ledger nodes that ignore the version query
+    if(versionId !== undefined && meta.sequence !== versionId) {
+      throw new InvalidLedgerResponseError(
+        'Ledger returned a different version of the record than requested.',
+        {baseURL, did, versionId, sequence: meta.sequence});
+    }
+
+    return {didDocument, meta};
   }
 
   /**
    * Get the status of a Document from the ledger Agent Status Service.
    *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Per-attempt timeout override (ms).
+   * @param {object} [options.retry] - Retry policy override.
+   *
    * @returns {Promise<object>} A document with a status.
    */
-  async getStatus() {
-    return this.ledger.getStatus();
+  async getStatus({signal, timeout = this.timeout, retry} = {}) {
+    return this._retry(() => this._withFailover(
+      (ledger, signal) => this._getStatus({ledger, signal, timeout}),
+      {signal, timeout}), {signal, retry});
   }
 
-  async getTicketServiceProof({operation, ticketService}) {
-    let result;
+  async _getStatus({ledger, signal, timeout}) {
+    const baseURL = await ledger.getServiceEndpoint(
+      {serviceId: 'ledgerAgentStatusService'});
     try {
-      result = await httpClient.post(ticketService, {
-        json: {operation}, agent: this.httpsAgent
+      const response = await httpClient.get(baseURL, {
+        agent: this.httpsAgent, signal, timeout,
+        // retried per the client's own retry policy instead
+        retry: 0
       });
+      return response.data;
     } catch(e) {
       const {response} = e;
-      // if there is no response just rethrow the error
       if(!response) {
         throw e;
       }
-      const error = new VeresOneClientError(
-        'Error retrieving record.', 'NetworkError');
-      error.details = {
-        baseURL: ticketService, error: e, status: response.status, result
-      };
+      throw new LedgerUnavailableError(
+        'Error retrieving the ledger agent status.',
+        {baseURL, error: e, status: response.status});
+    }
+  }
+
+  /**
+   * Gets a proof for an operation from a ticket service. Getting a proof
+   * does not change any ledger state, so this is retried like a read.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.operation - The operation to get a proof for.
+   * @param {string} options.ticketService - Ticket service URL.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Per-attempt timeout override (ms).
+   * @param {object} [options.retry] - Retry policy override.
+   *
+   * @returns {Promise<object>} Resolves with the ticket service response
+   *   (containing the operation with a proof attached).
+   */
+  async getTicketServiceProof({
+    operation, ticketService, signal, timeout = this.timeout, retry
+  }) {
+    return this._retry(() => withTimeout(
+      signal => this._getTicketServiceProof(
+        {operation, ticketService, signal, timeout}),
+      {signal, timeout}), {signal, retry});
+  }
+
+  async _getTicketServiceProof({operation, ticketService, signal, timeout}) {
+    let result;
+    try {
+      result = await httpClient.post(ticketService, {
+        json: {operation}, agent: this.httpsAgent, signal, timeout
+      });
+    } catch(e) {
+      // no response means that the ticket service could not be reached
+      const {response} = e;
+      const error = new TicketServiceError(
+        'Error getting a proof from the ticket service.', {
+          baseURL: ticketService, error: e, status: response?.status
+        });
       // errors in this range might contain response data
-      if(response.status > 399 && response.status < 500) {
+      if(response?.status > 399 && response.status < 500) {
         // httpClient puts the error on the data object
         error.details.error = e.data || response.data || e;
       }
@@ -110,12 +376,16 @@ export class VeresOneClient {
    *
    * @param {LDKeyPair} [options.authKey] - Keys for signing the http request
    *   headers.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Timeout override (ms).
    *
    * @returns {Promise<object>} Response from a POST request.
    */
   // FIXME: currently unused, update this implementation after testnet v2
   async sendToAccelerator(options) {
-    const {operation, authenticationKeyPair} = options;
+    const {
+      operation, authenticationKeyPair, signal, timeout = this.timeout
+    } = options;
     const hostname = options.hostname || this.hostname;
 
     const acceleratorPath = '/accelerator/proofs';
@@ -142,7 +412,7 @@ export class VeresOneClient {
     let result;
     try {
       result = await httpClient.post(acceleratorUrl, {
-        json: {operation}, headers, agent: this.httpsAgent
+        json: {operation}, headers, agent: this.httpsAgent, signal, timeout
       });
     } catch(e) {
       const {response} = e;
@@ -150,44 +420,276 @@ export class VeresOneClient {
       if(!response) {
         throw e;
       }
-      const error = new VeresOneClientError(
-        'Error retrieving record.', 'NetworkError');
-      error.details = {
-        baseURL: acceleratorUrl, error: e, status: response.status, result
+      const details = {
+        baseURL: acceleratorUrl, error: e, status: response.status
       };
       // errors in this range might contain response data
       if(response.status > 399 && response.status < 500) {
         // httpClient puts the data directly on the error
-        error.details.error = e.data || response.data || e;
+        details.error = e.data || response.data || e;
+        throw new OperationRejectedError(
+          'Operation rejected by the accelerator.', details);
       }
-      throw error;
+      throw new LedgerUnavailableError(
+        'Error sending operation to the accelerator.', details);
     }
     return result.data;
   }
 
   /**
-   * Send an operation.
+   * Send an operation. Cancelling it (or a timeout) aborts the HTTP request,
+   * but an operation that a node has already received may still be accepted
+   * by the ledger; check its status (by fetching the record) before sending
+   * it again.
    *
    * @param {object} options - The options.
    * @param {object} options.operation - The operation to send.
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {number} [options.timeout] - Timeout override (ms).
    *
    * @returns {Promise<object>} - Send result.
    */
-  async send({operation}) {
-    return this.ledger.sendOperation({operation});
+  async send({operation, signal, timeout = this.timeout}) {
+    // sending an operation is not retried, and an operation that may have
+    // reached a node (even one that failed with a server error) is not
+    // re-sent to another
+    return this._withFailover(
+      (ledger, signal) => this._sendOperation(
+        {ledger, operation, signal, timeout}),
+      {signal, timeout, shouldFailover: _isConnectionError});
   }
 
-  async wrap({didDocument, operationType}) {
-    // FIXME: the web-ledger-client 1.0 APIs need some refinement, possibly
-    // pass in recordPatch when it's an update operation?
-    // if(operationType === 'create') {
-    //   record = didDocument.toJSON();
-    // } else {
-    //   record = didDocument.commit();
-    // }
+  async _sendOperation({ledger, operation, signal, timeout}) {
+    const baseURL = await ledger.getServiceEndpoint(
+      {serviceId: 'ledgerOperationService'});
+    let response;
+    try {
+      response = await httpClient.post(baseURL, {
+        json: operation, agent: this.httpsAgent, signal, timeout
+      });
+    } catch(e) {
+      const {response} = e;
+      if(!response) {
+        throw e;
+      }
+      const details = {
+        baseURL, hostname: this.hostname, operationType: operation.type,
+        status: response.status, error: e
+      };
+      // errors in this range might contain response data
+      if(response.status > 399 && response.status < 500) {
+        // httpClient puts the error on the data object
+        details.error = e.data || response.data || e;
+        throw new OperationRejectedError(
+          'Operation rejected by the ledger.', details);
+      }
+      throw new LedgerUnavailableError(
+        'Error sending operation to the ledger.', details);
+    }
+    return response.data || null;
+  }
+
+  /**
+   * Wraps a DID Document (for 'create' operations) or a changeset (for
+   * 'update' operations, see `DidDocumentUpdater.commit()`) in a web ledger
+   * operation. 'deactivate' operations (`DeactivateWebLedgerRecord`, a type
+   * defined by the Web Ledger v1 context since web-ledger-context v12) name
+   * the DID and the record `sequence` they apply to in their `recordPatch`.
+   * Ledger nodes whose validator does not support deactivation reject them
+   * with an `OperationRejectedError`.
+   *
+   * @param {object} options - The options.
+   * @param {object} [options.didDocument] - The DID Document to register.
+   * @param {object} [options.changeset] - The changeset to update a DID
+   *   Document with, sent as the operation's `recordPatch`.
+   * @param {string} [options.did] - The DID to deactivate.
+   * @param {number} [options.sequence] - The current record sequence of the
+   *   DID to deactivate.
+   * @param {string} options.operationType - 'create', 'update' or
+   *   'deactivate'.
+   *
+   * @returns {Promise<object>} The operation.
+   */
+  async wrap({didDocument, changeset, did, sequence, operationType}) {
+    if(operationType === 'deactivate') {
+      if(!(did && Number.isInteger(sequence))) {
+        throw new TypeError(
+          'The "did" and "sequence" parameters are required for deactivate ' +
+          'operations.');
+      }
+      // web-ledger-client only wraps 'create' and 'update' operations, so
+      // the operation is built the same way here
+      const {ledger} = this;
+      if(!ledger.ledgerAgent) {
+        await ledger.getAgent();
+      }
+      const operation = {
+        '@context': [WEB_LEDGER_CONTEXT_URL, ZCAP_CONTEXT_URL]
+      };
+      const targetNode = ledger.ledgerAgentStatus?.targetNode;
+      if(targetNode) {
+        operation.creator = targetNode;
+      }
+      operation.type = 'DeactivateWebLedgerRecord';
+      operation.recordPatch = {target: did, sequence};
+      return operation;
+    }
+    if(operationType === 'update') {
+      if(!changeset) {
+        throw new TypeError(
+          'The "changeset" parameter is required for update operations.');
+      }
+      return this.ledger.wrap({record: changeset, operationType});
+    }
     return this.ledger.wrap({record: didDocument, operationType});
   }
 
+  /**
+   * Reads from the ledger, either from a single node (with failover), or
+   * from `readQuorum` nodes, comparing their results.
+   *
+   * @param {Function} fn - Read function, called with a `WebLedgerClient`
+   *   and an `AbortSignal`.
+   * @param {object} options - Options hashmap.
+   * @param {AbortSignal} [options.signal] - Cancels the read.
+   * @param {number} [options.timeout] - Timeout of each node's read (ms).
+   *
+   * @returns {Promise<object>} Resolves with the read result.
+   */
+  async _read(fn, {signal, timeout}) {
+    if(this.readQuorum === 1) {
+      return this._withFailover(fn, {signal, timeout});
+    }
+
+    const nodes = this._availableNodes().slice(0, this.readQuorum);
+    if(nodes.length < this.readQuorum) {
+      throw new LedgerUnavailableError(
+        'Not enough healthy ledger nodes to meet the read quorum.',
+        {readQuorum: this.readQuorum, available: nodes.length});
+    }
+    const results = await Promise.allSettled(nodes.map(async node => {
+      try {
+        return await withTimeout(
+          signal => fn(node.ledger, signal), {signal, timeout});
+      } catch(e) {
+        if(!signal?.aborted && _isNodeFailure(e)) {
+          this._markUnhealthy(node);
+        }
+        throw e;
+      }
+    }));
+
+    signal?.throwIfAborted();
+    const failure = results.find(({status, reason}) =>
+      status === 'rejected' && reason.code !== 'notFound');
+    if(failure) {
+      const {reason} = failure;
+      if(!_isNodeFailure(reason)) {
+        throw reason;
+      }
+      throw new LedgerUnavailableError(
+        'Ledger nodes failed to meet the read quorum.', {
+          readQuorum: this.readQuorum, status: reason.details?.status,
+          errors: nodes.map((node, i) => results[i].reason && {
+            hostname: node.hostname, error: results[i].reason
+          }).filter(e => e)
+        });
+    }
+    // every node must agree, including on a record not being found
+    const [first] = results;
+    const expected = _resultKey(first);
+    const mismatch = results.some(result => _resultKey(result) !== expected);
+    if(mismatch) {
+      throw new InvalidLedgerResponseError(
+        'Ledger nodes returned different records.', {
+          hostnames: nodes.map(({hostname}) => hostname),
+          results: results.map(({value, reason}) => value || reason)
+        });
+    }
+    if(first.status === 'rejected') {
+      throw first.reason;
+    }
+    return first.value;
+  }
+
+  /**
+   * Calls a function with the current ledger node, failing over to the next
+   * node on network or server errors.
+   *
+   * @param {Function} fn - Called with a `WebLedgerClient` and an
+   *   `AbortSignal`.
+   * @param {object} [options={}] - Options hashmap.
+   * @param {Function} [options.shouldFailover] - Returns true if an error
+   *   should cause a failover; defaults to network and server errors.
+   * @param {AbortSignal} [options.signal] - Cancels the call.
+   * @param {number} [options.timeout] - Timeout of each node's call (ms).
+   *
+   * @returns {Promise<object>} Resolves with the result of `fn`.
+   */
+  async _withFailover(fn, {
+    shouldFailover = _isNodeFailure, signal, timeout
+  } = {}) {
+    const errors = [];
+    for(const node of this._availableNodes()) {
+      this._current = this.nodes.indexOf(node);
+      try {
+        return await withTimeout(
+          signal => fn(node.ledger, signal), {signal, timeout});
+      } catch(e) {
+        if(signal?.aborted || !shouldFailover(e)) {
+          throw e;
+        }
+        this.logger.warn(
+          `Ledger node "${node.hostname}" failed, trying next node.`,
+          {error: e});
+        this._markUnhealthy(node);
+        errors.push({hostname: node.hostname, error: e});
+      }
+    }
+    const {error: last} = errors[errors.length - 1];
+    throw new LedgerUnavailableError(
+      errors.length === 1 ?
+        `Ledger node "${errors[0].hostname}" is unavailable.` :
+        'All ledger nodes failed.',
+      {errors, status: last.details?.status ?? last.response?.status});
+  }
+
+  /**
+   * @returns {Array<object>} The nodes to try, starting with the current
+   *   node, healthy nodes first; unhealthy nodes are still tried last, in
+   *   case every node was marked as unhealthy.
+   */
+  _availableNodes() {
+    const now = Date.now();
+    const ordered = [
+      ...this.nodes.slice(this._current), ...this.nodes.slice(0, this._current)
+    ];
+    return [
+      ...ordered.filter(node => node.unhealthyUntil <= now),
+      ...ordered.filter(node => node.unhealthyUntil > now)
+    ];
+  }
+
+  /**
+   * Retries an idempotent request per the client's retry policy.
+   *
+   * @param {Function} fn - The request function.
+   * @param {object} options - Options hashmap.
+   * @param {AbortSignal} [options.signal] - Cancels any further retries.
+   * @param {object} [options.retry] - Retry policy override.
+   *
+   * @returns {Promise<object>} Resolves with the result of `fn`.
+   */
+  async _retry(fn, {signal, retry}) {
+    return withRetry(fn, {
+      ...this.retry, ...retry, signal, shouldRetry: _isNodeFailure
+    });
+  }
+
+  _markUnhealthy(node) {
+    node.unhealthyUntil = Date.now() + this.failureCooldown;
+  }
+
   static async signRequestHeaders({requestOptions, signer}) {
     // TODO: update to use `(expires)` pseudo header or just use
     // `http-signature-zcap-invoke` if possible
@@ -210,3 +712,76 @@ export class VeresOneClient {
     requestOptions.headers = {...requestOptions.headers, Authorization};
   }
 }
+
+function _validateVersion({versionId, versionTime}) {
+  if(versionId !== undefined) {
+    if(!/^\d+$/.test(String(versionId))) {
+      throw new TypeError(
+        '"versionId" must be a non-negative integer (a record sequence).');
+    }
+    versionId = Number(versionId);
+  }
+  if(versionTime !== undefined) {
+    const date = new Date(versionTime);
+    if(isNaN(date)) {
+      throw new TypeError('"versionTime" must be a valid date.');
+    }
+    versionTime = date.toISOString();
+  }
+  return {versionId, versionTime};
+}
+
+/**
+ * Tests whether an error means that a ledger node is unavailable: it could
+ * not be reached, timed out, or responded with a server error. Other errors
+ * (about the request itself, an invalid response, or a bug) are not retried
+ * or failed over.
+ *
+ * @param {Error} e - The error.
+ *
+ * @returns {boolean} True if another node should be tried.
+ */
+function _isNodeFailure(e) {
+  const status = e.response?.status ?? e.details?.status;
+  if(status !== undefined) {
+    return status >= 500;
+  }
+  // without a status, `LedgerUnavailableError`s are from failed over nodes
+  return e.name === 'TimeoutError' || e.code === 'ledgerUnavailable' ||
+    _isConnectionError(e);
+}
+
+/**
+ * Tests whether an error means that a request never reached a ledger node
+ * (such as a refused connection), as opposed to a node that failed after
+ * receiving it (a server error response or a timeout). Only then can an
+ * operation safely be sent to another node.
+ *
+ * @param {Error} e - The error.
+ *
+ * @returns {boolean} True if the request can be sent to another node.
+ */
+function _isConnectionError(e) {
+  // `httpClient` sets `requestUrl` on the errors of the requests it sends
+  return e.requestUrl !== undefined && !e.response;
+}
+
+// compares settled read results: found records by content, errors by name
+function _resultKey({status, value, reason}) {
+  if(status === 'rejected') {
+    return reason.name;
+  }
+  return _canonicalize(value);
+}
+
+function _canonicalize(value) {
+  if(Array.isArray(value)) {
+    return `[${value.map(_canonicalize).join(',')}]`;
+  }
+  if(value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(
+      key => `${JSON.stringify(key)}:${_canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -1,10 +1,17 @@
 /*!
- * Copyright (c) 2018-2022 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 export class VeresOneClientError extends Error {
-  constructor(message, name, details) {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} name - Error name.
+   * @param {object} [details] - Structured details about the error.
+   * @param {string} [code] - Stable error code, see `errors.js`.
+   */
+  constructor(message, name, details, code) {
     super(message);
     this.name = name;
+    this.code = code;
     this.details = details;
     Error.captureStackTrace(this, this.constructor);
   }
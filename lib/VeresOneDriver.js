@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2024 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 import * as constants from './constants.js';
 import * as didIo from '@digitalbazaar/did-io';
@@ -13,11 +13,32 @@ import {
   X25519KeyAgreementKey2020
 } from '@digitalbazaar/x25519-key-agreement-key-2020';
 
-import {attachProofs} from './attachProof.js';
+import {
+  applyPatch, compare as jsonPatchCompare
+} from 'fast-json-patch/index.mjs';
+import {
+  attachInvocationProof, attachProofs, verifyInvocationProof
+} from './attachProof.js';
+import {
+  ConfirmationTimeoutError, ControllerNotAuthorizedError, DidNotFoundError,
+  InvalidDidDocumentError, InvalidDidError, OperationRejectedError,
+  SequenceConflictError
+} from './errors.js';
+import {decryptKeystore, encryptKeystore} from './keystore.js';
+import {serviceId, validateServices} from './services.js';
+import {deriveKeyPair} from './hdKeys.js';
+import {DidDocumentUpdater} from './DidDocumentUpdater.js';
+import {EcdsaMultikey} from './EcdsaMultikey.js';
+import {methodToJwk} from './jwk.js';
+import {Multikey} from './Multikey.js';
+import {ResolutionCache} from './ResolutionCache.js';
+import {sleep} from './retry.js';
+import {validatePatch} from './patches.js';
 
 import {CryptoLD} from 'crypto-ld';
 const DEFAULT_CRYPTO_LD = new CryptoLD();
 DEFAULT_CRYPTO_LD.use(Ed25519VerificationKey2020);
+DEFAULT_CRYPTO_LD.use(Multikey);
 DEFAULT_CRYPTO_LD.use(X25519KeyAgreementKey2020);
 
 const {DEFAULT_DID_TYPE, DEFAULT_MODE} = constants;
@@ -25,6 +46,10 @@ const DEFAULT_VERIFICATION_SUITE = Ed25519VerificationKey2020;
 
 export const DID_REGEX = /^(did:v1:)(test:)?(uuid|nym):(.+)/;
 
+const SPECIFIC_ID_INVALID_CHARS = /[^A-Za-z0-9:\-.]+/;
+// DID, then optional path, query and fragment
+const DID_URL_REGEX = /^([^/?#]+)(\/[^?#]*)?(?:\?([^#]*))?(?:#(.*))?$/;
+
 export const DID_DOC_CONTEXTS = [
   'https://www.w3.org/ns/did/v1',
   'https://w3id.org/veres-one/v1'
@@ -53,16 +78,33 @@ export class VeresOneDriver {
    *   ('test', 'dev', 'live'), determines hostname for ledger client.
    * @param {string} [options.hostname] - Optional hostname override. If not
    *   provided, ledger hostname will be determined based on `mode`.
+   * @param {Array<string>} [options.hostnames] - Optional hostnames of
+   *   several ledger nodes to fail over between (overrides `hostname`).
+   * @param {number} [options.readQuorum=1] - Number of ledger nodes to read
+   *   (and compare) each DID Document from.
+   * @param {number} [options.timeout] - Timeout (in ms) of each request to
+   *   the ledger.
+   * @param {object} [options.retry] - Retry policy for idempotent requests
+   *   to the ledger, see `VeresOneClient`.
    * @param {Agent} [options.httpsAgent] - A NodeJS HTTPS Agent (`https.Agent`).
    * @param {object} [options.logger] - Optional logger (defaults to console).
    * @param {WebLedgerClient} [options.client] - A WebLedgerClient.
    * @param {CryptoLD} [options.cryptoLd] - CryptoLD instance.
    * @param {LDKeyPairClass} [options.verificationSuite] - The verification
    *   suite.
+   * @param {ResolutionCache|object|boolean} [options.cache] - Caches resolved
+   *   DID Documents and keys; either a `ResolutionCache` instance, options
+   *   to create one with, or `true` to use the default options. No caching
+   *   by default.
+   * @param {string} [options.proofSuite='Ed25519Signature2020'] - The proof
+   *   suite of the capabilityInvocation proofs on operations sent to the
+   *   ledger: 'Ed25519Signature2020' or 'eddsa-rdfc-2022' (Data Integrity).
    */
   constructor({
-    mode, hostname, httpsAgent, logger, client,
-    cryptoLd = DEFAULT_CRYPTO_LD, verificationSuite = DEFAULT_VERIFICATION_SUITE
+    mode, hostname, hostnames, readQuorum, timeout, retry, httpsAgent, logger,
+    client, cache, cryptoLd = DEFAULT_CRYPTO_LD,
+    verificationSuite = DEFAULT_VERIFICATION_SUITE,
+    proofSuite = constants.DEFAULT_PROOF_SUITE
   } = {}) {
     // used by did-io to register drivers
     this.method = 'v1';
@@ -70,17 +112,31 @@ export class VeresOneDriver {
 
     this.logger = logger || console;
 
-    this.hostname = hostname || _defaultHostname({mode: this.mode});
+    this.hostname = (hostnames && hostnames[0]) || hostname ||
+      _defaultHostname({mode: this.mode});
 
     this.client = client ||
       new VeresOneClient({
         hostname: this.hostname,
+        hostnames,
+        readQuorum,
+        timeout,
+        retry,
         httpsAgent,
         mode: this.mode,
         logger: this.logger
       });
     this.cryptoLd = cryptoLd;
     this.verificationSuite = verificationSuite;
+    this.proofSuite = proofSuite;
+
+    if(cache instanceof ResolutionCache) {
+      this.cache = cache;
+    } else if(cache) {
+      this.cache = new ResolutionCache(cache === true ? {} : cache);
+    } else {
+      this.cache = null;
+    }
   }
 
   /**
@@ -115,49 +171,359 @@ export class VeresOneDriver {
    * @param {string} [options.url] - Alias for the `did` param, supported
    *   for better readability of invoking code. Typically used when fetching
    *   a key id.
+   * @param {number|string} [options.versionId] - Fetch the DID Document as
+   *   it was at this ledger record `sequence`.
+   * @param {Date|string} [options.versionTime] - Fetch the DID Document as
+   *   it was at this time.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {string} [options.jwk] - Return a key document with a
+   *   `publicKeyJwk` instead of a `publicKeyMultibase`, of this type:
+   *   'JsonWebKey2020' or 'Multikey'.
+   * @param {boolean} [options.includeMetadata=false] - For a DID (not a key
+   *   URL), resolve with `{didDocument, didDocumentMetadata}` instead, with
+   *   the same metadata as `resolve()` (such as `deactivated: true`).
    *
    * @returns {Promise<object>} Resolves with the fetched or constructed DID
    *   Document.
    */
-  async get({did, url} = {}) {
+  async get({
+    did, url, versionId, versionTime, signal, jwk, includeMetadata = false
+  } = {}) {
     did = did || url;
     if(!did) {
       throw new TypeError('A "did" or "url" parameter is required.');
     }
 
     const {didAuthority, hashFragment, didType} = _parseDid({did});
-    const isNym = didType === 'nym';
+    const isVersioned = versionId !== undefined || versionTime !== undefined;
 
-    let didDocument;
-    // fetch DID Document from ledger
-    try {
-      didDocument = await this.client.get({did: didAuthority});
-    } catch(e) {
-      if(e.name === 'NotFoundError' && isNym) {
-        // On a 404 Not Found, construct DID Document from DID, `did:key` style.
-        try {
-          ({didDocument} = await fromNym({
-            did: didAuthority, verificationSuite: this.verificationSuite,
-            cryptoLd: this.cryptoLd
-          }));
-        } catch(e) {
-          this.logger.debug(
-            `Could not construct initial DID Doc from nym "${didAuthority}" ` +
-            `using the ${this.verificationSuite.type} suite.`, {error: e});
-          throw e;
-        }
-      } else {
-        throw e;
+    if(hashFragment && this.cache && !isVersioned) {
+      const key = await this.cache.getKey({methodId: did});
+      if(key) {
+        return jwk ? methodToJwk({method: key, type: jwk}) : key;
       }
     }
+
+    const result = await this._fetchDidDocument({
+      did: didAuthority, didType, versionId, versionTime, signal
+    });
+    const {didDocument, meta} = result;
     if(hashFragment) {
+      // the keys of a deactivated DID must no longer be used
+      if(meta?.deactivated) {
+        throw new DidNotFoundError(
+          `DID "${didAuthority}" has been deactivated.`,
+          {did: didAuthority, methodId: did, deactivated: true});
+      }
       // This was a key id, return a key document instead of a did document
-      return this._getKey({didDocument, methodId: did});
+      const key = await this._getKey({didDocument, methodId: did});
+      if(this.cache && !isVersioned) {
+        await this.cache.setKey({methodId: did, key});
+      }
+      return jwk ? methodToJwk({method: key, type: jwk}) : key;
     }
 
+    if(includeMetadata) {
+      return {didDocument, didDocumentMetadata: _didDocumentMetadata(result)};
+    }
     return didDocument;
   }
 
+  /**
+   * Resolves a DID, returning a DID Resolution result as described in the
+   * W3C DID Resolution spec. Unlike `get()`, this does not throw on
+   * resolution errors, but reports them in `didResolutionMetadata.error`
+   * (one of 'invalidDid', 'invalidOptions', 'methodNotSupported',
+   * 'notFound', 'representationNotSupported' or 'internalError').
+   *
+   * @see https://w3c.github.io/did-resolution/#resolving
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The DID to resolve (without a hash fragment
+   *   or query).
+   * @param {string} [options.accept='application/did+ld+json'] - The
+   *   requested DID Document representation.
+   * @param {number|string} [options.versionId] - Resolve the DID Document as
+   *   it was at this ledger record `sequence`.
+   * @param {Date|string} [options.versionTime] - Resolve the DID Document as
+   *   it was at this time.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger;
+   *   unlike other errors, cancellation is thrown.
+   *
+   * @returns {Promise<{didDocument: object, didDocumentMetadata: object,
+   *   didResolutionMetadata: object}>} Resolves with the DID Resolution
+   *   result.
+   */
+  async resolve({
+    did, accept = constants.DID_LD_JSON_CONTENT_TYPE, versionId, versionTime,
+    signal
+  } = {}) {
+    if(typeof did !== 'string') {
+      return _resolutionError({
+        error: 'invalidDid', message: 'DID must be a string.'
+      });
+    }
+    if(!did.startsWith('did:v1:') && /^did:[a-z0-9]+:/.test(did)) {
+      return _resolutionError({
+        error: 'methodNotSupported',
+        message: `DID method not supported: "${did}".`
+      });
+    }
+    let parsedDid;
+    try {
+      parsedDid = _parseDid({did});
+    } catch(e) {
+      return _resolutionError({error: 'invalidDid', message: e.message});
+    }
+    const {didType, id} = parsedDid;
+    if(SPECIFIC_ID_INVALID_CHARS.test(id)) {
+      return _resolutionError({
+        error: 'invalidDid',
+        message: `Specific id contains invalid characters: "${did}".`
+      });
+    }
+    if(didType === 'nym') {
+      try {
+        this.verificationSuite.fromFingerprint({fingerprint: id});
+      } catch(e) {
+        return _resolutionError({
+          error: 'invalidDid', message: `Invalid cryptonym: "${did}".`
+        });
+      }
+    }
+    if(versionId !== undefined && versionTime !== undefined) {
+      return _resolutionError({
+        error: 'invalidOptions',
+        message: 'Only one of "versionId" or "versionTime" may be given.'
+      });
+    }
+    if(versionId !== undefined && !/^\d+$/.test(String(versionId))) {
+      return _resolutionError({
+        error: 'invalidOptions',
+        message: `Invalid "versionId": "${versionId}".`
+      });
+    }
+    if(versionTime !== undefined && isNaN(new Date(versionTime))) {
+      return _resolutionError({
+        error: 'invalidOptions',
+        message: `Invalid "versionTime": "${versionTime}".`
+      });
+    }
+    if(!constants.SUPPORTED_CONTENT_TYPES.includes(accept)) {
+      return _resolutionError({
+        error: 'representationNotSupported',
+        message: `Representation not supported: "${accept}".`
+      });
+    }
+
+    let result;
+    try {
+      result = await this._fetchDidDocument({
+        did, didType, versionId, versionTime, signal
+      });
+    } catch(e) {
+      if(signal?.aborted) {
+        throw e;
+      }
+      if(e.code === 'notFound') {
+        return _resolutionError({
+          error: 'notFound', message: `DID not found: "${did}".`
+        });
+      }
+      return _resolutionError({error: 'internalError', message: e.message});
+    }
+
+    let {didDocument} = result;
+    if(accept === constants.DID_JSON_CONTENT_TYPE) {
+      // the plain JSON representation does not include a JSON-LD context
+      didDocument = {...didDocument};
+      delete didDocument['@context'];
+    }
+
+    return {
+      didDocument,
+      didDocumentMetadata: _didDocumentMetadata(result),
+      didResolutionMetadata: {contentType: accept}
+    };
+  }
+
+  /**
+   * Dereferences a DID URL, as described in the W3C DID Resolution spec.
+   * Supports DID URLs with a hash fragment (pointing to a verification method
+   * or a service entry), `service` / `relativeRef` query parameters
+   * (which select a service endpoint and construct a URL from it), and
+   * `versionId` / `versionTime` query parameters. Like
+   * `resolve()`, errors are reported in `dereferencingMetadata.error`
+   * instead of being thrown.
+   *
+   * @see https://w3c.github.io/did-resolution/#dereferencing
+   *
+   * @example
+   * await driver.dereference({
+   *   didUrl: 'did:v1:nym:z6Mk...?service=hub&relativeRef=/inbox'
+   * });
+   * // -> {contentStream: 'https://hub.example.com/inbox', ...}
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.didUrl - The DID URL to dereference.
+   * @param {string} [options.accept='application/did+ld+json'] - The
+   *   requested representation (used when dereferencing to the DID Document
+   *   itself).
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger;
+   *   unlike other errors, cancellation is thrown.
+   *
+   * @returns {Promise<{contentStream: (object|string),
+   *   contentMetadata: object, dereferencingMetadata: object}>} Resolves with
+   *   the DID URL Dereferencing result.
+   */
+  async dereference({
+    didUrl, accept = constants.DID_LD_JSON_CONTENT_TYPE, signal
+  } = {}) {
+    let parsedUrl;
+    try {
+      parsedUrl = parseDidUrl({didUrl});
+    } catch(e) {
+      return _dereferencingError({error: 'invalidDidUrl', message: e.message});
+    }
+    const {did, path, params, fragment} = parsedUrl;
+    if(path) {
+      // Veres One does not define any DID URL paths
+      return _dereferencingError({
+        error: 'notFound', message: `DID URL path not found: "${didUrl}".`
+      });
+    }
+
+    const {
+      didDocument, didDocumentMetadata, didResolutionMetadata
+    } = await this.resolve({
+      did, accept, versionId: params.versionId,
+      versionTime: params.versionTime, signal
+    });
+    if(didResolutionMetadata.error) {
+      const {error, errorMessage: message} = didResolutionMetadata;
+      return _dereferencingError({
+        error: error === 'invalidDid' ? 'invalidDidUrl' : error, message
+      });
+    }
+
+    if(params.service !== undefined) {
+      return _dereferenceServiceEndpoint({
+        didDocument, didDocumentMetadata, didUrl, fragment,
+        serviceId: params.service, relativeRef: params.relativeRef
+      });
+    }
+
+    if(fragment === undefined) {
+      return {
+        contentStream: didDocument,
+        contentMetadata: didDocumentMetadata,
+        dereferencingMetadata: {contentType: accept}
+      };
+    }
+
+    const service = _findService({didDocument, did, fragment});
+    if(service) {
+      return {
+        contentStream: {'@context': didDocument['@context'], ...service},
+        contentMetadata: didDocumentMetadata,
+        dereferencingMetadata: {contentType: constants.LD_JSON_CONTENT_TYPE}
+      };
+    }
+
+    const methodId = `${did}#${fragment}`;
+    const method = didIo.findVerificationMethod({doc: didDocument, methodId});
+    if(!method) {
+      return _dereferencingError({
+        error: 'notFound', message: `DID URL not found: "${didUrl}".`
+      });
+    }
+    return {
+      contentStream: await this._getKey({didDocument, methodId}),
+      contentMetadata: didDocumentMetadata,
+      dereferencingMetadata: {contentType: constants.LD_JSON_CONTENT_TYPE}
+    };
+  }
+
+  /**
+   * Fetches a DID Document from the ledger. If a cryptonym DID is not found
+   * on the ledger, the DID Document is constructed from the DID instead
+   * (unless a specific version was requested, since there is no ledger
+   * history to check it against).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID authority uri (without hash fragment).
+   * @param {string} options.didType - DID type, 'nym' or 'uuid'.
+   * @param {number|string} [options.versionId] - Ledger record sequence.
+   * @param {Date|string} [options.versionTime] - Version time.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{didDocument: object, meta: object, source: string}>}
+   *   Resolves with the DID Document, its ledger metadata, and its source
+   *   ('ledger' or 'nym').
+   */
+  async _fetchDidDocument({did, didType, versionId, versionTime, signal}) {
+    // lookups by time are not cached, see `ResolutionCache`
+    if(!this.cache || versionTime !== undefined) {
+      return this._fetchFromLedger(
+        {did, didType, versionId, versionTime, signal});
+    }
+
+    const cached = await this.cache.getDocument({did, versionId});
+    if(cached && cached.notFound) {
+      throw new DidNotFoundError('Record not found.', {did, cached: true});
+    }
+    if(cached) {
+      return cached;
+    }
+    let result;
+    try {
+      result = await this._fetchFromLedger({did, didType, versionId, signal});
+    } catch(e) {
+      if(e.code === 'notFound' && versionId === undefined) {
+        await this.cache.setNotFound({did});
+      }
+      throw e;
+    }
+    await this.cache.setDocument({did, versionId, result});
+    return result;
+  }
+
+  async _fetchFromLedger({did, didType, versionId, versionTime, signal}) {
+    const isVersioned = versionId !== undefined || versionTime !== undefined;
+    try {
+      const {didDocument, meta} = await this.client.getRecord(
+        isVersioned ? {did, versionId, versionTime, signal} : {did, signal});
+      return {didDocument, meta, source: 'ledger'};
+    } catch(e) {
+      // a ledger may no longer return the record of a deactivated DID; it
+      // resolves to a DID Document without any keys (and a deactivated nym
+      // DID is not constructed from its cryptonym)
+      if(e.code === 'notFound' && e.details?.deactivated) {
+        return {
+          didDocument: {'@context': [...DID_DOC_CONTEXTS], id: did},
+          meta: {deactivated: true}, source: 'ledger'
+        };
+      }
+      if(!(e.code === 'notFound' && didType === 'nym' && !isVersioned)) {
+        throw e;
+      }
+    }
+
+    // On a 404 Not Found, construct DID Document from DID, `did:key` style.
+    try {
+      const {didDocument} = await fromNym({
+        did, verificationSuite: this.verificationSuite,
+        cryptoLd: this.cryptoLd
+      });
+      return {didDocument, meta: {}, source: 'nym'};
+    } catch(e) {
+      this.logger.debug(
+        `Could not construct initial DID Doc from nym "${did}" ` +
+        `using the ${this.verificationSuite.type} suite.`, {error: e});
+      throw e;
+    }
+  }
+
   /**
    * Fetches an initial (unregistered) DID Document for a given DID,
    * or a key document for a given key URL. This does not check the ledger,
@@ -199,16 +565,206 @@ export class VeresOneDriver {
     return didDocument;
   }
 
-  async _getKey({didDocument, methodId}) {
+  /**
+   * Fetches the current ledger record of a DID. The client is used
+   * directly, so that the cache is bypassed: updates, and checks for their
+   * confirmation, must be based on the latest record.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the record.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{didDocument: object, meta: object}>} Resolves with
+   *   the DID Document and its ledger metadata.
+   */
+  async _getRecordUncached({did, signal}) {
+    return this.client.getRecord({did, signal});
+  }
+
+  /**
+   * Returns the sequence that a DID Document record will have once an
+   * update operation is written: either one past the sequence of its record
+   * patch, or one past the record's current sequence on the ledger.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the record.
+   * @param {object} options.operation - The update operation.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<number>} Resolves with the expected sequence.
+   */
+  async _nextSequence({did, operation, signal}) {
+    const patchSequence = operation.recordPatch?.sequence;
+    if(Number.isInteger(patchSequence)) {
+      return patchSequence + 1;
+    }
+    const {meta} = await this._getRecordUncached({did, signal});
+    return meta.sequence + 1;
+  }
+
+  /**
+   * Builds the changeset for an update, based on the current ledger record.
+   * A changeset (or updater) that was made against an older version of the
+   * record (a lower `sequence`) is a conflict, unless `rebase` is set and the
+   * changes made on the ledger since then do not touch the same paths; the
+   * patch is then applied to the current record instead.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {DidDocumentUpdater} [options.updater] - An updater.
+   * @param {object} [options.changeset] - A changeset.
+   * @param {object} [options.didDocument] - The updated DID Document, which
+   *   is diffed against the current record (see the note on `update()`).
+   * @param {boolean} [options.rebase=false] - Whether to rebase a changeset
+   *   made against an older version of the record.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{changeset: object, current: object,
+   *   didDocument: object}>} Resolves with the changeset, the current DID
+   *   Document, and the updated DID Document.
+   */
+  async _prepareUpdate({
+    updater, changeset, didDocument, rebase = false, signal
+  }) {
+    if(updater) {
+      changeset = updater.commit();
+      ({didDocument} = updater);
+    }
+    const did = changeset?.target ?? didDocument?.id;
+    if(!did) {
+      throw new TypeError(
+        'An "updater", "changeset" or "didDocument" parameter is required.');
+    }
+    const {didDocument: current, meta} = await this._getRecordUncached(
+      {did, signal});
+    _assertNotDeactivated({did, meta});
+    if(changeset) {
+      const {sequence} = changeset;
+      const outdated = sequence !== undefined && sequence !== meta.sequence;
+      if(outdated) {
+        await this._rebase({did, changeset, current, meta, rebase, signal});
+      }
+      changeset = {...changeset, sequence: meta.sequence};
+      if(outdated || !didDocument) {
+        didDocument = applyPatch(
+          structuredClone(current), changeset.patch).newDocument;
+      }
+    } else {
+      // the whole DID Document replaces the current one
+      const diffUpdater = new DidDocumentUpdater(
+        {didDocument: structuredClone(current), meta: {...meta}});
+      applyPatch(
+        diffUpdater.didDocument, jsonPatchCompare(current, didDocument));
+      changeset = diffUpdater.commit();
+    }
+    if(changeset.patch.length === 0) {
+      throw new TypeError(`DID Document "${did}" has no changes to update.`);
+    }
+    // the patch is checked against the current record (which an updater's
+    // own check in `commit()` may not have been based on)
+    const {valid, error} = validatePatch(
+      {didDocument: current, patch: changeset.patch});
+    if(!valid) {
+      throw error;
+    }
+    return {changeset, current, didDocument};
+  }
+
+  /**
+   * Returns a `SequenceConflictError` if an operation was rejected by the
+   * ledger because the record's sequence changed since the operation was
+   * built; otherwise returns the given error.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the record.
+   * @param {number} options.sequence - Sequence the operation was built
+   *   against.
+   * @param {Error} options.error - The error the operation failed with.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<Error>} Resolves with the error to throw.
+   */
+  async _sequenceConflict({did, sequence, error, signal}) {
+    if(error.code !== 'operationRejected') {
+      return error;
+    }
+    let record;
+    try {
+      record = await this._getRecordUncached({did, signal});
+    } catch(e) {
+      return error;
+    }
+    const {didDocument, meta} = record;
+    if(meta.sequence === sequence) {
+      return error;
+    }
+    const conflict = new SequenceConflictError(
+      `Update of "${did}" was made against sequence ${sequence}, but the ` +
+      `current sequence is ${meta.sequence}.`,
+      {did, sequence, currentSequence: meta.sequence, didDocument});
+    conflict.cause = error;
+    return conflict;
+  }
+
+  /**
+   * Checks whether a changeset made against an older version of a record
+   * can be applied to its current version: the changes made on the ledger
+   * since must not touch the same paths as the changeset, and the patch must
+   * apply cleanly. Throws a `SequenceConflictError` otherwise (and always,
+   * unless `rebase` is set).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the record.
+   * @param {object} options.changeset - The changeset.
+   * @param {object} options.current - The current DID Document.
+   * @param {object} options.meta - The current record's metadata.
+   * @param {boolean} options.rebase - Whether rebasing is allowed.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise} Resolves if the changeset can be rebased.
+   */
+  async _rebase({did, changeset, current, meta, rebase, signal}) {
+    const {sequence, patch} = changeset;
+    const details = {
+      did, sequence, currentSequence: meta.sequence, didDocument: current
+    };
+    if(!(rebase && sequence < meta.sequence)) {
+      throw new SequenceConflictError(
+        `Update of "${did}" was made against sequence ${sequence}, but the ` +
+        `current sequence is ${meta.sequence}.`, details);
+    }
+    const {didDocument: base} = await this.client.getRecord(
+      {did, versionId: sequence, signal});
+    const changed = jsonPatchCompare(base, current).map(({path}) => path);
+    const conflicts = patch.map(({path}) => path)
+      .filter(path => changed.some(other => _pathsOverlap(path, other)));
+    if(conflicts.length > 0) {
+      throw new SequenceConflictError(
+        `Update of "${did}" conflicts with changes made since sequence ` +
+        `${sequence}.`, {...details, conflicts});
+    }
+    try {
+      applyPatch(structuredClone(current), patch, true);
+    } catch(e) {
+      const error = new SequenceConflictError(
+        `Update of "${did}" cannot be applied to sequence ` +
+        `${meta.sequence}.`, details);
+      error.cause = e;
+      throw error;
+    }
+  }
+
+  async _getKey({didDocument, methodId, jwk}) {
     const method = didIo.findVerificationMethod({
       doc: didDocument, methodId
     });
     if(!method) {
-      throw new Error(`Verification method "${methodId}" not found ` +
-        `in did document "${didDocument.id}".`);
+      throw new DidNotFoundError(
+        `Verification method "${methodId}" not found in did document ` +
+        `"${didDocument.id}".`, {did: didDocument.id, methodId});
     }
     const keyPair = await this.cryptoLd.from(method);
-    return keyPair.export({publicKey: true, includeContext: true});
+    const key = keyPair.export({publicKey: true, includeContext: true});
+    return jwk ? methodToJwk({method: key, type: jwk}) : key;
   }
 
   /**
@@ -229,6 +785,13 @@ export class VeresOneDriver {
    * @param {LDKeyPair} [options.keyAgreementKey] - Key agreement key pair.
    * @param {Uint8Array} [options.seed] - A 32-byte array seed for a
    *   deterministic key.
+   * @param {Uint8Array} [options.masterSeed] - A master seed (of at least 32
+   *   bytes) to derive a separate key for each verification relationship
+   *   from (see `deriveKeyPair()`), instead of using the capabilityInvocation
+   *   key for all of them. The keys can be recovered from the master seed
+   *   with `recoverKeyPairs()`.
+   * @param {Array<object>} [options.services] - Service endpoints to add to
+   *   the DID Document (their ids may be relative, `#<fragment>`).
    *
    * @returns {Promise<{didDocument: object, keyPairs: Map,
    *   methodFor: Function}>} Resolves with the generated DID Document, along
@@ -236,12 +799,12 @@ export class VeresOneDriver {
    */
   async generate({
     didType = DEFAULT_DID_TYPE, invokeKey, authKey, delegateKey, assertionKey,
-    keyAgreementKey, seed
+    keyAgreementKey, seed, masterSeed, services
   } = {}) {
     const {mode, cryptoLd, verificationSuite} = this;
     return VeresOneDriver.generate({
       didType, cryptoLd, verificationSuite, mode, invokeKey, authKey,
-      delegateKey, assertionKey, keyAgreementKey, seed
+      delegateKey, assertionKey, keyAgreementKey, seed, masterSeed, services
     });
   }
 
@@ -266,6 +829,13 @@ export class VeresOneDriver {
    * @param {LDKeyPair} [options.keyAgreementKey] - Key agreement key pair.
    * @param {Uint8Array} [options.seed] - A 32-byte array seed for a
    *   deterministic key.
+   * @param {Uint8Array} [options.masterSeed] - A master seed (of at least 32
+   *   bytes) to derive a separate key for each verification relationship
+   *   from (see `deriveKeyPair()`), instead of using the capabilityInvocation
+   *   key for all of them. The keys can be recovered from the master seed
+   *   with `recoverKeyPairs()`.
+   * @param {Array<object>} [options.services] - Service endpoints to add to
+   *   the DID Document (their ids may be relative, `#<fragment>`).
    *
    * @returns {Promise<{didDocument: object, keyPairs: Map,
    *   methodFor: Function}>} Resolves with the generated DID Document, along
@@ -274,11 +844,37 @@ export class VeresOneDriver {
   static async generate({
     didType = DEFAULT_DID_TYPE, cryptoLd, mode,
     verificationSuite = DEFAULT_VERIFICATION_SUITE,
-    invokeKey, authKey, delegateKey, assertionKey, keyAgreementKey, seed
+    invokeKey, authKey, delegateKey, assertionKey, keyAgreementKey, seed,
+    masterSeed, services
   } = {}) {
     const cryptoSuiteContexts = new Set();
     const keyPairs = new Map();
     const keyType = verificationSuite.suite;
+    // serialized key pairs (such as Multikeys) are imported first
+    [invokeKey, authKey, delegateKey, assertionKey, keyAgreementKey] =
+      await Promise.all([
+        invokeKey, authKey, delegateKey, assertionKey, keyAgreementKey
+      ].map(key => key && _importKeyPair({key, cryptoLd})));
+    if(masterSeed !== undefined) {
+      if(seed !== undefined) {
+        throw new TypeError(
+          'Only one of the "seed" and "masterSeed" parameters may be given.');
+      }
+      // a separate key for each relationship (unless passed in)
+      const derive = purpose => deriveKeyPair(
+        {masterSeed, purpose, cryptoLd, verificationSuite});
+      invokeKey = invokeKey || await derive('capabilityInvocation');
+      authKey = authKey || await derive('authentication');
+      delegateKey = delegateKey || await derive('capabilityDelegation');
+      assertionKey = assertionKey || await derive('assertionMethod');
+      keyAgreementKey = keyAgreementKey || await derive('keyAgreement');
+    }
+
+    if(invokeKey instanceof EcdsaMultikey) {
+      throw new TypeError(
+        'The "invokeKey" must be an Ed25519 key; ECDSA keys cannot sign ' +
+        'Veres One ledger operations.');
+    }
 
     // Before we initialize the rest of the keys, we need to compose the DID
     // Document `.id` itself, from the capabilityInvocation key pair.
@@ -297,7 +893,15 @@ export class VeresOneDriver {
     capabilityInvocationKeyPair.id = keyId;
     keyPairs.set(capabilityInvocationKeyPair.id, capabilityInvocationKeyPair);
 
-    // Now that we have a DID, set up the other keys
+    // Now that we have a DID, set up the other keys (giving the ones passed
+    // in without an id one under the DID)
+    const otherKeys = [assertionKey, authKey, delegateKey, keyAgreementKey];
+    for(const keyPair of otherKeys) {
+      if(keyPair && !keyPair.id) {
+        keyPair.controller = keyPair.controller || did;
+        keyPair.id = _keyId({did, keyPair});
+      }
+    }
 
     // For signing assertions (such as Verifiable Credentials)
     const assertionKeyPair = assertionKey || capabilityInvocationKeyPair;
@@ -360,16 +964,16 @@ export class VeresOneDriver {
     didDocument.keyAgreement = [
       keyAgreementKeyPair.export({publicKey: true})
     ];
+    if(services) {
+      if(!Array.isArray(services)) {
+        throw new TypeError('The "services" parameter must be an array.');
+      }
+      didDocument.service = services.map(
+        service => ({...service, id: serviceId({did, id: service?.id})}));
+      _assertValidServices({didDocument});
+    }
 
-    // Convenience function that returns the public/private key pair instance
-    // for a given purpose (authentication, assertionMethod, keyAgreement, etc).
-    const methodFor = ({purpose}) => {
-      const {id: methodId} = didIo.findVerificationMethod({
-        doc: didDocument, purpose
-      });
-      return keyPairs.get(methodId);
-    };
-
+    const methodFor = _methodFor({didDocument, keyPairs});
     return {didDocument, keyPairs, methodFor};
   }
 
@@ -384,91 +988,843 @@ export class VeresOneDriver {
    * @param {string} [options.accelerator] - Hostname of accelerator to use.
    * @param {object} [options.authDoc] - Auth DID Doc, required if using
    *   an accelerator service.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {boolean} [options.waitForConfirmation=false] - Whether to wait
+   *   until the DID Document has been written to the ledger.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait for
+   *   confirmation.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to check
+   *   the ledger for confirmation.
    *
    * @returns {Promise<object>} Resolves with the registered did document.
    */
   async register({
-    didDocument, keyPairs, accelerator, authDoc, ...sendOptions
+    didDocument, keyPairs, accelerator, authDoc, waitForConfirmation = false,
+    timeout, pollInterval, ...sendOptions
   } = {}) {
     // wrap DID Document in a web ledger operation
+    _assertValidServices({didDocument});
     const operation = await this.client.wrap(
       {didDocument, operationType: 'create'});
     await this.send(
       operation, {accelerator, didDocument, keyPairs, authDoc, ...sendOptions});
+    if(waitForConfirmation) {
+      await this.waitForConfirmation({
+        did: didDocument.id, sequence: 0, timeout, pollInterval,
+        signal: sendOptions.signal
+      });
+    }
+    await this.cache?.invalidate({did: didDocument.id});
 
     return didDocument;
   }
 
   /**
-   * Records an update to a DID Document on the Veres One ledger.
+   * Records an update to a DID Document on the Veres One ledger, by sending
+   * a JSON-LD patch (`recordPatch`) operation. The changes are given as
+   * either an updater (see `createUpdater()`), a changeset (the result of
+   * `DidDocumentUpdater.commit()`), or the whole updated DID Document (which
+   * is compared to the current ledger record). The patch is applied to the
+   * current ledger record, and signed with its capabilityInvocation key.
+   *
+   * An updater or changeset made against an older version of the record
+   * (another update was written since) throws a `SequenceConflictError`,
+   * with the current DID Document in its `details`. With `rebase`, the
+   * patch is applied to the current record instead, as long as the changes
+   * made since do not touch the same paths.
+   *
+   * Note: the whole DID Document form has no sequence, so it is neither
+   * checked for conflicts nor rebased: whatever differs from the current
+   * record is sent, including the reverting of updates written since the
+   * document was resolved (for example, from the cache). Differences in
+   * immutable properties (such as `id` or `@context`) throw an
+   * `InvalidPatchError`, once the current record has been fetched. Prefer an
+   * updater (see `createUpdater()`).
    *
    * @param {object} options - Options hashmap.
-   * @param {object} options.didDocument - DID Document to register.
-   * @param {Map} options.keyPairs - Map of public/private key pairs involved
-   *   in the DID Document (esp the capabilityInvocation keys), stored by
-   *   key id.
+   * @param {DidDocumentUpdater} [options.updater] - An updater, with the
+   *   changes made to its `didDocument`.
+   * @param {object} [options.changeset] - A changeset (JSON-LD patch).
+   * @param {object} [options.didDocument] - The updated DID Document.
+   * @param {boolean} [options.rebase=false] - Whether to rebase an updater or
+   *   changeset made against an older version of the record.
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs
+   *   involved in the DID Document (esp the capabilityInvocation keys),
+   *   stored by key id.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for the capabilityInvocation key.
    * @param {string} [options.accelerator] - Hostname of accelerator to use.
    * @param {object} [options.authDoc] - Auth DID Doc, required if using
    *   an accelerator service.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {boolean} [options.waitForConfirmation=false] - Whether to wait
+   *   until the update has been written to the ledger.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait for
+   *   confirmation.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to check
+   *   the ledger for confirmation.
    *
    * @returns {Promise<object>} Resolves with the updated did document.
    */
   async update({
-    didDocument, keyPairs, accelerator, authDoc
+    updater, changeset, didDocument, rebase = false, keyPairs, signer,
+    accelerator, authDoc, signal, waitForConfirmation = false, timeout,
+    pollInterval
   } = {}) {
-    // wrap DID Document in a web ledger operation
+    let current;
+    ({changeset, current, didDocument} = await this._prepareUpdate(
+      {updater, changeset, didDocument, rebase, signal}));
+    const did = changeset.target;
+    // wrap changeset in a web ledger operation
     const operation = await this.client.wrap(
-      {didDocument, operationType: 'update'});
-    await this.send(operation, {accelerator, didDocument, keyPairs, authDoc});
+      {changeset, operationType: 'update'});
+    try {
+      await this.send(operation, {
+        accelerator, didDocument: current, keyPairs, signer, authDoc, signal
+      });
+    } catch(e) {
+      // another update may have been written since the record was fetched
+      throw await this._sequenceConflict(
+        {did, sequence: changeset.sequence, error: e, signal});
+    }
+    if(waitForConfirmation) {
+      await this.waitForConfirmation({
+        did, sequence: changeset.sequence + 1, timeout, pollInterval, signal
+      });
+    }
+    await this.cache?.invalidate({did});
 
     return didDocument;
   }
 
   /**
-   * Sends a DID Document operation (register/update) the Veres One ledger
-   * by:
+   * Creates an updater for a DID Document registered on the ledger, to
+   * make changes to it and send them with `update({updater})`.
    *
-   *  1. Using an Accelerator service, in which case an authorization DID
-   *     Document is required beforehand (typically obtained in exchange for
-   *     payment).
-   *  2. Ticket service.
-   *
-   * @param {object} operation - WebLedger operation.
-   * @param {string} operation.type - Operation type 'create', 'update' etc.
+   * @example
+   * const updater = await driver.createUpdater({did});
+   * updater.didDocument.service = [...];
+   * await driver.update({updater, keyPairs});
    *
    * @param {object} options - Options hashmap.
-   * @param {object} options.didDocument - DID Document to send to ledger.
+   * @param {string} options.did - DID of the DID Document.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
    *
-   * A capabilityInvocation signature is required, to send anything to the
-   * ledger. This means either a keyPairs map (containing public/private key
-   * pair instances) OR a signer-type object (from a KMS).
-   * @param {Map} [options.keyPairs] - Map of public/private key pairs involved
-   *   in the DID Document (esp the capabilityInvocation keys), stored by
-   *   key id.
+   * @returns {Promise<DidDocumentUpdater>} Resolves with an updater for the
+   *   current DID Document.
+   */
+  async createUpdater({did, signal} = {}) {
+    const {didDocument, meta} = await this._getRecordUncached({did, signal});
+    return new DidDocumentUpdater({didDocument, meta});
+  }
+
+  /**
+   * Rotates a key of a DID Document registered on the ledger: the key used
+   * for a verification relationship is replaced by a new key (generated, or
+   * given as `newKey`) in every relationship that used it, and the update is
+   * signed with the current capabilityInvocation key.
+   *
+   * The capabilityInvocation key of a cryptonym DID can be rotated too, with
+   * an update signed by that key itself (see `validateDid()`); the DID does
+   * not change, but the DID Document can no longer be constructed from the
+   * DID, so the DID must be registered first.
+   *
+   * @example
+   * const {didDocument, keyPairs: newKeyPairs} = await driver.rotateKey(
+   *   {did, purpose: 'assertionMethod', keyPairs});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the DID Document.
+   * @param {string} options.purpose - The verification relationship of the
+   *   key to rotate ('authentication', 'capabilityInvocation', etc).
+   * @param {string} [options.methodId] - Id of the key to rotate, if the
+   *   relationship has several (defaults to the first one).
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs
+   *   involved in the DID Document (esp the capabilityInvocation keys),
+   *   stored by key id.
    * @param {{sign: Function, id: string}} [options.signer] - A signer type
    *   object (from a KMS), for the capabilityInvocation key.
-   *
-   * Needed for Accelerator only (not currently used?).
-   * @param {string}  [options.accelerator] - Hostname of accelerator to use.
+   * @param {LDKeyPair} [options.newKey] - The replacement key pair (a key of
+   *   the driver's `verificationSuite`, or an X25519 key for `keyAgreement`,
+   *   is generated if not passed in).
+   * @param {Uint8Array} [options.masterSeed] - A master seed to derive the
+   *   replacement key pair from (see `deriveKeyPair()`), instead of
+   *   generating a random one.
+   * @param {number} [options.keyIndex] - The key index of the replacement
+   *   key pair derived from `masterSeed` (required with it); `0` is the key
+   *   of the generated DID Document, so the first rotation is typically `1`.
+   * @param {string} [options.accelerator] - Hostname of accelerator to use.
    * @param {object} [options.authDoc] - Auth DID Doc, required if using
    *   an accelerator service.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {boolean} [options.waitForConfirmation=false] - Whether to wait
+   *   until the update has been written to the ledger.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait for
+   *   confirmation.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to poll
+   *   the ledger while waiting for confirmation.
    *
-   * @returns {Promise<object>} Resolves with the didDocument that was the
-   *   result of the operation.
+   * @returns {Promise<{didDocument: object, keyPairs: Map}>} Resolves with
+   *   the updated DID Document, and the key pairs map with the old key
+   *   replaced by the new one.
    */
-  async send(operation, {
-    accelerator, didDocument, keyPairs, signer, authDoc
+  async rotateKey({
+    did, purpose, methodId, keyPairs, signer, newKey, masterSeed, keyIndex,
+    accelerator, authDoc, signal, waitForConfirmation, timeout, pollInterval
   } = {}) {
-    this.logger.log('Sending to ledger, operation type:', operation.type);
-
-    let capabilityInvocationKeyPair;
-    // If keyPairs is not passed in, the `signer` param is used.
+    if(!constants.VERIFICATION_RELATIONSHIPS.includes(purpose)) {
+      throw new TypeError(`Unknown verification relationship "${purpose}".`);
+    }
+    if(masterSeed !== undefined && keyIndex === undefined) {
+      throw new TypeError(
+        'A "keyIndex" parameter is required with "masterSeed".');
+    }
+    if(!(keyPairs || signer)) {
+      throw new TypeError(
+        'Either a "keyPairs" or a "signer" parameter is required.');
+    }
+    const updater = await this.createUpdater({did, signal});
+    const {didDocument: current} = updater;
+    const oldMethod = didIo.findVerificationMethod(
+      {doc: current, purpose, methodId});
+    const usedBy = property => (current[property] || []).some(
+      entry => (entry.id || entry) === oldMethod.id);
+    if(!(oldMethod && usedBy(purpose))) {
+      throw new DidNotFoundError(
+        `No "${purpose}" verification method found in DID Document ` +
+        `"${did}".`, {did, methodId, purpose});
+    }
+    let invocationKeyId = signer?.id;
     if(keyPairs) {
-      const {id: invokeKeyId} = didIo.findVerificationMethod({
-        doc: didDocument,
-        purpose: 'capabilityInvocation'
-      });
-      capabilityInvocationKeyPair = keyPairs.get(invokeKeyId);
+      // fails early (before the update is sent) if no key can sign it
+      ({id: invocationKeyId} = await this._findInvocationKey(
+        {didDocument: current, keyPairs, signal}));
+    }
+    // ledger nodes only accept a cryptonym DID's new capabilityInvocation
+    // key in an update signed by the key it replaces
+    if(_parseDid({did}).didType === 'nym' &&
+      usedBy('capabilityInvocation') && invocationKeyId !== oldMethod.id) {
+      throw new ControllerNotAuthorizedError(
+        `The capabilityInvocation key of cryptonym DID "${did}" can only be ` +
+        `rotated with a proof of that key ("${oldMethod.id}").`,
+        {did, methodId: invocationKeyId});
+    }
+
+    if(!newKey && masterSeed !== undefined) {
+      const {cryptoLd, verificationSuite} = this;
+      newKey = await deriveKeyPair({
+        masterSeed, purpose, index: keyIndex, cryptoLd, verificationSuite
+      });
+      newKey.controller = did;
+    }
+    if(!newKey) {
+      newKey = purpose === 'keyAgreement' ?
+        await X25519KeyAgreementKey2020.generate() :
+        await this.cryptoLd.generate({type: this.verificationSuite.suite});
+    }
+    newKey.id = _keyId({did, keyPair: newKey});
+    // the new key replaces the old one in every relationship that used it
+    const purposes = constants.VERIFICATION_RELATIONSHIPS.filter(usedBy);
+    updater.addVerificationMethod({keyPair: newKey, purposes});
+    updater.removeVerificationMethod(oldMethod.id);
+
+    const didDocument = await this.update({
+      updater, keyPairs, signer, accelerator, authDoc, signal,
+      waitForConfirmation, timeout, pollInterval
+    });
+    const newKeyPairs = new Map(keyPairs);
+    newKeyPairs.delete(oldMethod.id);
+    newKeyPairs.set(newKey.id, newKey);
+    return {didDocument, keyPairs: newKeyPairs};
+  }
+
+  /**
+   * Recovers the key pairs of a DID Document generated (and rotated) with a
+   * master seed, see `generate({masterSeed})` and
+   * `rotateKey({masterSeed, keyIndex})`: the key pairs of every verification
+   * relationship, for key indexes `0` to `maxKeyIndex`, are derived from the
+   * master seed and matched with the DID Document's verification methods
+   * (by fingerprint). Methods whose keys were not derived from the master
+   * seed (such as keys passed to `generate()`) are not recovered.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The DID (registered, or an unregistered
+   *   cryptonym DID).
+   * @param {Uint8Array} options.masterSeed - The master seed.
+   * @param {number} [options.maxKeyIndex=20] - The highest key index to try.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{didDocument: object, keyPairs: Map,
+   *   methodFor: Function}>} Resolves with the current DID Document, the
+   *   recovered key pairs (by key id), and a `methodFor()` function (see
+   *   `generate()`).
+   */
+  async recoverKeyPairs({did, masterSeed, maxKeyIndex = 20, signal} = {}) {
+    if(!(Number.isSafeInteger(maxKeyIndex) && maxKeyIndex >= 0)) {
+      throw new TypeError(
+        'The "maxKeyIndex" parameter must be a non-negative integer.');
+    }
+    const didDocument = await this.get({did, signal});
+    const methods = _verificationMethods({didDocument});
+    const {cryptoLd, verificationSuite} = this;
+    const keyPairs = new Map();
+    for(const purpose of constants.VERIFICATION_RELATIONSHIPS) {
+      for(let index = 0; index <= maxKeyIndex; ++index) {
+        const derived = await deriveKeyPair(
+          {masterSeed, purpose, index, cryptoLd, verificationSuite});
+        const fingerprint = derived.fingerprint();
+        for(const method of methods) {
+          if(method.publicKeyMultibase !== fingerprint ||
+            keyPairs.has(method.id)) {
+            continue;
+          }
+          // a key pair of the method's type (such as a 2020 key or Multikey)
+          const keyPair = await cryptoLd.from(
+            {...method, privateKeyMultibase: derived.privateKeyMultibase});
+          keyPairs.set(method.id, keyPair);
+        }
+      }
+    }
+    const methodFor = _methodFor({didDocument, keyPairs});
+    return {didDocument, keyPairs, methodFor};
+  }
+
+  /**
+   * Exports a key pairs map (such as the one returned by `generate()`) as an
+   * encrypted keystore: a versioned JSON object whose contents are encrypted
+   * with AES-256-GCM, with a key derived from a passphrase with
+   * PBKDF2-HMAC-SHA256. Import it with `importKeyPairs()`.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Map} options.keyPairs - Map of public/private key pairs, stored
+   *   by key id.
+   * @param {string} options.passphrase - The passphrase to encrypt with.
+   * @param {object} [options.didDocument] - The DID Document of the keys,
+   *   stored in the keystore so that `importKeyPairs()` can restore the
+   *   `methodFor()` function.
+   * @param {number} [options.iterations=600000] - PBKDF2 iterations (from
+   *   100000 to 10000000).
+   *
+   * @returns {Promise<object>} Resolves with the keystore.
+   */
+  async exportKeyPairs({keyPairs, passphrase, didDocument, iterations} = {}) {
+    if(!(keyPairs instanceof Map)) {
+      throw new TypeError('The "keyPairs" parameter must be a Map.');
+    }
+    const exported = [];
+    for(const [id, keyPair] of keyPairs) {
+      if(typeof keyPair?.export !== 'function') {
+        throw new TypeError(`Key pair "${id}" cannot be exported.`);
+      }
+      exported.push(
+        [id, keyPair.export({publicKey: true, privateKey: true})]);
+    }
+    const payload = {keyPairs: exported};
+    if(didDocument) {
+      payload.didDocument = didDocument;
+    }
+    return encryptKeystore({payload, passphrase, iterations});
+  }
+
+  /**
+   * Imports a keystore created with `exportKeyPairs()`. Throws an
+   * `InvalidKeystoreError` if the keystore is malformed, of an unsupported
+   * version, or cannot be decrypted (with the passphrase).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object|string} options.keystore - The keystore (or its JSON).
+   * @param {string} options.passphrase - The passphrase.
+   * @param {object} [options.didDocument] - The DID Document of the keys,
+   *   for `methodFor()` (defaults to the one stored in the keystore, if any;
+   *   pass the current DID Document if the keys were rotated since).
+   *
+   * @returns {Promise<{didDocument: object, keyPairs: Map,
+   *   methodFor: Function}>} Resolves with the DID Document, the key pairs
+   *   (by key id) and a `methodFor()` function (see `generate()`).
+   */
+  async importKeyPairs({keystore, passphrase, didDocument} = {}) {
+    const payload = await decryptKeystore({keystore, passphrase});
+    const keyPairs = new Map();
+    for(const [id, exported] of payload.keyPairs) {
+      keyPairs.set(id, await this.cryptoLd.from(exported));
+    }
+    didDocument = didDocument || payload.didDocument;
+    let methodFor;
+    if(didDocument) {
+      methodFor = _methodFor({didDocument, keyPairs});
+    } else {
+      methodFor = () => {
+        throw new TypeError(
+          '"methodFor()" requires a DID Document; pass "didDocument" to ' +
+          '"exportKeyPairs()" or "importKeyPairs()".');
+      };
+    }
+    return {didDocument, keyPairs, methodFor};
+  }
+
+  /**
+   * Deactivates a DID registered on the ledger, by sending a
+   * `DeactivateWebLedgerRecord` operation signed with the current DID
+   * Document's capabilityInvocation key. Once deactivated, the DID cannot be
+   * updated, its keys are no longer returned by `get()`, and `resolve()`
+   * (or `get()` with `includeMetadata`) reports `deactivated: true` in its
+   * DID Document metadata.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The DID to deactivate.
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs
+   *   involved in the DID Document (esp the capabilityInvocation keys),
+   *   stored by key id.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for the capabilityInvocation key.
+   * @param {string} [options.accelerator] - Hostname of accelerator to use.
+   * @param {object} [options.authDoc] - Auth DID Doc, required if using
+   *   an accelerator service.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {boolean} [options.waitForConfirmation=false] - Whether to wait
+   *   until the deactivation has been written to the ledger.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait for
+   *   confirmation.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to poll
+   *   the ledger while waiting for confirmation.
+   *
+   * @returns {Promise<object>} Resolves with the (last) DID Document of the
+   *   deactivated DID.
+   */
+  async deactivate({
+    did, keyPairs, signer, accelerator, authDoc, signal,
+    waitForConfirmation = false, timeout, pollInterval
+  } = {}) {
+    if(!did) {
+      throw new TypeError('The "did" parameter is required.');
+    }
+    if(!(keyPairs || signer)) {
+      throw new TypeError(
+        'Either a "keyPairs" or a "signer" parameter is required.');
+    }
+    const {didDocument, meta} = await this._getRecordUncached({did, signal});
+    _assertNotDeactivated({did, meta});
+    const {sequence} = meta;
+    const operation = await this.client.wrap(
+      {did, sequence, operationType: 'deactivate'});
+    try {
+      await this.send(operation, {
+        accelerator, didDocument, keyPairs, signer, authDoc, signal
+      });
+    } catch(e) {
+      throw await this._sequenceConflict({did, sequence, error: e, signal});
+    }
+    if(waitForConfirmation) {
+      await this.waitForConfirmation(
+        {did, sequence: sequence + 1, timeout, pollInterval, signal});
+    }
+    await this.cache?.invalidate({did});
+
+    return didDocument;
+  }
+
+  /**
+   * Polls the ledger until a DID Document record has (at least) a given
+   * `sequence`, which confirms that an operation sent to the ledger was
+   * written. A newly registered record has sequence `0`, and each update
+   * increments it.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - DID of the record.
+   * @param {number} options.sequence - Expected record sequence.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to check
+   *   the ledger.
+   * @param {AbortSignal} [options.signal] - Cancels waiting.
+   *
+   * @throws {ConfirmationTimeoutError} If the record does not reach the
+   *   expected sequence in time.
+   *
+   * @returns {Promise<{didDocument: object, meta: object}>} Resolves with
+   *   the confirmed DID Document and its ledger metadata.
+   */
+  async waitForConfirmation({
+    did, sequence, timeout = 60000, pollInterval = 1000, signal
+  } = {}) {
+    if(!Number.isInteger(sequence)) {
+      throw new TypeError('The "sequence" parameter must be an integer.');
+    }
+    const deadline = Date.now() + timeout;
+    let current;
+    let lastError;
+    while(true) {
+      try {
+        const result = await this._getRecordUncached({did, signal});
+        current = result.meta.sequence;
+        if(current >= sequence) {
+          return result;
+        }
+      } catch(e) {
+        // keep polling, until the record appears or the ledger recovers
+        if(signal?.aborted) {
+          throw e;
+        }
+        lastError = e;
+      }
+      const wait = Math.min(pollInterval, deadline - Date.now());
+      if(wait <= 0) {
+        throw new ConfirmationTimeoutError(
+          `Operation on "${did}" was not confirmed within ${timeout} ms.`,
+          {did, sequence, timeout, currentSequence: current, error: lastError});
+      }
+      await sleep({ms: wait, signal});
+    }
+  }
+
+  /**
+   * Sends a DID Document operation (register/update) the Veres One ledger
+   * by:
+   *
+   *  1. Using an Accelerator service, in which case an authorization DID
+   *     Document is required beforehand (typically obtained in exchange for
+   *     payment).
+   *  2. Ticket service.
+   *
+   * @param {object} operation - WebLedger operation.
+   * @param {string} operation.type - Operation type 'create', 'update' etc.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.didDocument - DID Document to send to ledger.
+   *
+   * A capabilityInvocation signature is required, to send anything to the
+   * ledger. This means either a keyPairs map (containing public/private key
+   * pair instances) OR a signer-type object (from a KMS).
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs involved
+   *   in the DID Document (esp the capabilityInvocation keys), stored by
+   *   key id.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for the capabilityInvocation key.
+   *
+   * Needed for Accelerator only (not currently used?).
+   * @param {string}  [options.accelerator] - Hostname of accelerator to use.
+   * @param {object} [options.authDoc] - Auth DID Doc, required if using
+   *   an accelerator service.
+   * @param {string} [options.proofSuite=this.proofSuite] - The proof suite
+   *   of the capabilityInvocation proof: 'Ed25519Signature2020' or
+   *   'eddsa-rdfc-2022'.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<object>} Resolves with the didDocument that was the
+   *   result of the operation.
+   */
+  async send(operation, {
+    accelerator, didDocument, keyPairs, signer, authDoc,
+    proofSuite = this.proofSuite, signal
+  } = {}) {
+    this.logger.log('Sending to ledger, operation type:', operation.type);
+
+    operation = await this._attachProofs(operation, {
+      accelerator, didDocument, keyPairs, signer, authDoc, proofSuite, signal
+    });
+
+    const response = await this.client.send({operation, signal});
+
+    if(operation.type === 'create') {
+      this.logger.log('DID registration sent to ledger.');
+    } else {
+      this.logger.log('DID Document update sent to the Veres One ledger.');
+    }
+
+    return response;
+  }
+
+  /**
+   * Builds and signs a DID Document operation (register/update) without
+   * sending it, so that it can be reviewed, stored, and submitted later
+   * (possibly from another machine) with `submitOperation()`.
+   *
+   * Note: Attaching the ticket service (or accelerator) proof requires
+   * access to the ledger; only the capabilityInvocation signature is done
+   * locally.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} [options.didDocument] - DID Document to register (or
+   *   the updated DID Document).
+   * @param {DidDocumentUpdater} [options.updater] - An updater (for 'update'
+   *   operations), see `update()`.
+   * @param {object} [options.changeset] - A changeset (for 'update'
+   *   operations), see `update()`.
+   * @param {boolean} [options.rebase=false] - Whether to rebase an updater or
+   *   changeset made against an older version of the record, see
+   *   `update()`.
+   * @param {string} [options.operationType='create'] - 'create' (register)
+   *   or 'update'.
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs
+   *   involved in the DID Document, stored by key id.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for the capabilityInvocation key.
+   * @param {string} [options.accelerator] - Hostname of accelerator to use.
+   * @param {object} [options.authDoc] - Auth DID Doc, required if using
+   *   an accelerator service.
+   * @param {string} [options.proofSuite=this.proofSuite] - The proof suite
+   *   of the capabilityInvocation proof: 'Ed25519Signature2020' or
+   *   'eddsa-rdfc-2022'.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<object>} Resolves with the signed operation (plain
+   *   JSON). Only 'create' operations hold the DID Document; an 'update'
+   *   operation holds the patch (`recordPatch`), which gives the updated DID
+   *   Document once applied to the ledger record it was made against.
+   */
+  async prepareOperation({
+    didDocument, updater, changeset, rebase = false,
+    operationType = 'create', keyPairs, signer, accelerator, authDoc,
+    proofSuite = this.proofSuite, signal
+  } = {}) {
+    if(!['create', 'update'].includes(operationType)) {
+      throw new TypeError(
+        '"operationType" must be either "create" or "update".');
+    }
+    if(operationType === 'update') {
+      // updates are signed with the current DID Document's keys
+      ({changeset, current: didDocument} = await this._prepareUpdate(
+        {updater, changeset, didDocument, rebase, signal}));
+    } else {
+      _assertValidServices({didDocument});
+    }
+    const operation = await this.client.wrap(
+      {didDocument, changeset, operationType});
+    return this._attachProofs(operation, {
+      accelerator, didDocument, keyPairs, signer, authDoc, proofSuite, signal
+    });
+  }
+
+  /**
+   * Submits an operation prepared (and signed) with `prepareOperation()` to
+   * the ledger.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.operation - The signed operation.
+   * @param {{threshold: number, methodIds: Array<string>}} [options.policy] -
+   *   A threshold policy (see `verifyThreshold()`) that the operation's
+   *   proofs must meet before it is sent.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   * @param {boolean} [options.waitForConfirmation=false] - Whether to wait
+   *   until the operation has been written to the ledger.
+   * @param {number} [options.timeout=60000] - How long (in ms) to wait for
+   *   confirmation.
+   * @param {number} [options.pollInterval=1000] - How often (in ms) to check
+   *   the ledger for confirmation.
+   *
+   * @returns {Promise<object>} Resolves with the ledger's response.
+   */
+  async submitOperation({
+    operation, policy, signal, waitForConfirmation = false, timeout,
+    pollInterval
+  } = {}) {
+    if(!(operation && operation.proof)) {
+      throw new TypeError(
+        'The "operation" parameter must be a signed operation.');
+    }
+    const did = _operationDid({operation});
+    if(policy) {
+      const {valid, error} = await this.verifyThreshold(
+        {operation, policy, signal});
+      if(!valid) {
+        throw error;
+      }
+    }
+    let sequence = 0;
+    if(waitForConfirmation && operation.type === 'UpdateWebLedgerRecord') {
+      sequence = await this._nextSequence({did, operation, signal});
+    }
+
+    this.logger.log('Sending to ledger, operation type:', operation.type);
+    let response;
+    try {
+      response = await this.client.send({operation, signal});
+    } catch(e) {
+      const patchSequence = operation.recordPatch?.sequence;
+      if(!Number.isInteger(patchSequence)) {
+        throw e;
+      }
+      // the record may have been updated since the operation was prepared
+      throw await this._sequenceConflict(
+        {did, sequence: patchSequence, error: e, signal});
+    }
+    if(waitForConfirmation) {
+      await this.waitForConfirmation(
+        {did, sequence, timeout, pollInterval, signal});
+    }
+    await this.cache?.invalidate({did});
+
+    return response;
+  }
+
+  /**
+   * Adds a capabilityInvocation proof to an operation prepared with
+   * `prepareOperation()`, for operations that need the approval of several
+   * key holders (see `verifyThreshold()`). Each proof signs the operation
+   * independently, so key holders can sign in any order; the (partially
+   * signed) operation is plain JSON, and can be passed between them.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.operation - The operation.
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs. The
+   *   first capabilityInvocation key (of the DID Document, or of its
+   *   controllers) that has not signed the operation yet is used.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for a capabilityInvocation key.
+   * @param {string} [options.proofSuite=this.proofSuite] - The proof suite
+   *   of the proof: 'Ed25519Signature2020' or 'eddsa-rdfc-2022'. Key
+   *   holders may use different suites.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<object>} Resolves with a copy of the operation, with
+   *   the proof added.
+   */
+  async signOperation({
+    operation, keyPairs, signer, proofSuite = this.proofSuite, signal
+  } = {}) {
+    if(!operation) {
+      throw new TypeError('The "operation" parameter is required.');
+    }
+    if(!(keyPairs || signer)) {
+      throw new TypeError(
+        'Either a "keyPairs" or a "signer" parameter is required.');
+    }
+    const did = _operationDid({operation});
+    const signed = _invocationProofs({operation})
+      .map(({verificationMethod}) => verificationMethod);
+    const didDocument = await this._operationDidDocument({operation, signal});
+    let key;
+    if(keyPairs) {
+      key = await this._findInvocationKey(
+        {didDocument, keyPairs, exclude: signed, signal});
+    } else if(signed.includes(signer.id)) {
+      throw new TypeError(`Key "${signer.id}" has already signed.`);
+    } else {
+      await this._assertInvocationSigner({didDocument, signer, signal});
+    }
+    return attachInvocationProof({
+      operation: structuredClone(operation),
+      capability: did,
+      invocationTarget: did,
+      key,
+      signer,
+      proofSuite
+    });
+  }
+
+  /**
+   * Verifies that an operation has enough valid capabilityInvocation proofs
+   * to meet a threshold (M-of-N) policy: at least `threshold` proofs, each
+   * created by a different capabilityInvocation key of the DID Document (or
+   * of its controllers, see `resolveControllerChain()`), optionally
+   * restricted to the keys in `methodIds`.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.operation - The operation.
+   * @param {{threshold: number, methodIds: Array<string>}} options.policy -
+   *   The threshold policy: the number of proofs needed, and (optionally) the
+   *   keys that may approve the operation (defaults to all
+   *   capabilityInvocation keys).
+   * @param {object} [options.didDocument] - The DID Document the operation
+   *   applies to (defaults to the operation's record, for 'create'
+   *   operations, or else the current ledger record).
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{valid: boolean, error: Error,
+   *   signers: Array<string>}>} Resolves with the validation result, and the
+   *   keys whose proofs were verified.
+   */
+  async verifyThreshold({operation, policy, didDocument, signal} = {}) {
+    const {threshold, methodIds} = policy || {};
+    if(!(Number.isInteger(threshold) && threshold > 0)) {
+      throw new TypeError(
+        'The "policy.threshold" parameter must be a positive integer.');
+    }
+    if(methodIds && threshold > methodIds.length) {
+      throw new TypeError(
+        'The "policy.threshold" parameter must not be larger than the ' +
+        'number of "policy.methodIds".');
+    }
+    const did = _operationDid({operation});
+    didDocument = didDocument ||
+      await this._operationDidDocument({operation, signal});
+    const controllers = await this.resolveControllerChain(
+      {did, didDocument, signal});
+
+    const signers = [];
+    const errors = [];
+    for(const proof of _invocationProofs({operation})) {
+      const {verificationMethod: methodId} = proof;
+      if(signers.includes(methodId) ||
+        (methodIds && !methodIds.includes(methodId))) {
+        continue;
+      }
+      const method = _controllerInvocationMethod({controllers, methodId});
+      if(!method) {
+        errors.push({methodId, error: 'notAuthorized'});
+        continue;
+      }
+      const key = await this.cryptoLd.from(method);
+      const {verified, error} = await verifyInvocationProof({
+        operation, proof, key, capability: did, invocationTarget: did,
+        controllers: controllers.map(({didDocument}) => didDocument)
+      });
+      if(verified) {
+        signers.push(methodId);
+      } else {
+        errors.push({methodId, error});
+      }
+    }
+    if(signers.length >= threshold) {
+      return {valid: true, signers};
+    }
+    return {
+      valid: false,
+      signers,
+      error: new ControllerNotAuthorizedError(
+        `Operation on "${did}" has ${signers.length} of the ${threshold} ` +
+        'required capabilityInvocation proofs.',
+        {did, threshold, signers, errors})
+    };
+  }
+
+  // the DID Document an operation applies to, to find its controllers
+  async _operationDidDocument({operation, signal}) {
+    if(operation.record) {
+      return operation.record;
+    }
+    const did = _operationDid({operation});
+    const {didDocument} = await this._getRecordUncached({did, signal});
+    return didDocument;
+  }
+
+  /**
+   * Attaches the ticket service (or accelerator) proof and the
+   * capabilityInvocation proof to an operation.
+   *
+   * @param {object} operation - WebLedger operation.
+   * @param {object} options - Options hashmap.
+   * @param {object} options.didDocument - DID Document of the operation.
+   * @param {Map} [options.keyPairs] - Map of public/private key pairs.
+   * @param {{sign: Function, id: string}} [options.signer] - A signer type
+   *   object (from a KMS), for the capabilityInvocation key.
+   * @param {string} [options.accelerator] - Hostname of accelerator to use.
+   * @param {object} [options.authDoc] - Auth DID Doc (for accelerators).
+   * @param {string} options.proofSuite - The proof suite of the
+   *   capabilityInvocation proof.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<object>} Resolves with the signed operation.
+   */
+  async _attachProofs(operation, {
+    accelerator, didDocument, keyPairs, signer, authDoc, proofSuite, signal
+  }) {
+    let capabilityInvocationKeyPair;
+    // If keyPairs is not passed in, the `signer` param is used.
+    if(keyPairs) {
+      capabilityInvocationKeyPair = await this._findInvocationKey(
+        {didDocument, keyPairs, signal});
+    } else {
+      await this._assertInvocationSigner({didDocument, signer, signal});
     }
 
     // the authentication key is only needed when using Accelerators
@@ -481,24 +1837,157 @@ export class VeresOneDriver {
       authenticationKeyPair = keyPairs.get(authKeyId);
     }
 
-    operation = await attachProofs(
+    return attachProofs(
       operation,
       {
         did: didDocument.id, client: this.client,
         capabilityInvocationKeyPair, signer, authenticationKeyPair,
-        accelerator, authDoc, mode: this.mode, logger: this.logger
+        accelerator, authDoc, mode: this.mode, logger: this.logger,
+        proofSuite, signal
       }
     );
+  }
 
-    const response = await this.client.send({operation});
+  /**
+   * Finds the key to sign an operation on a DID Document with: the first
+   * capabilityInvocation key of the DID Document (or of one of its
+   * controllers, see `resolveControllerChain()`) that is in `keyPairs`.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.didDocument - DID Document of the operation.
+   * @param {Map} options.keyPairs - Map of public/private key pairs, stored
+   *   by key id.
+   * @param {Array<string>} [options.exclude=[]] - Ids of keys not to use
+   *   (such as keys that have signed already).
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<LDKeyPair>} Resolves with the key pair.
+   */
+  async _findInvocationKey({didDocument, keyPairs, exclude = [], signal}) {
+    const controllers = await this.resolveControllerChain(
+      {did: didDocument.id, didDocument, signal});
+    for(const {didDocument: controllerDoc} of controllers) {
+      for(const entry of controllerDoc.capabilityInvocation || []) {
+        const id = entry.id || entry;
+        const keyPair = keyPairs.get(id);
+        if(keyPair && !exclude.includes(id)) {
+          return keyPair;
+        }
+      }
+    }
+    throw new TypeError(
+      'No capabilityInvocation key of DID Document ' +
+      `"${didDocument.id}" (or of its controllers) found in "keyPairs".`);
+  }
 
-    if(operation.type === 'create') {
-      this.logger.log('DID registration sent to ledger.');
-    } else {
-      this.logger.log('DID Document update sent to the Veres One ledger.');
+  // a signer (from a KMS) must be for a key that `_findInvocationKey()`
+  // could have found
+  async _assertInvocationSigner({didDocument, signer, signal}) {
+    const {valid, error} = await this.verifyController(
+      {did: didDocument.id, methodId: signer.id, didDocument, signal});
+    if(!valid) {
+      throw error;
     }
+  }
 
-    return response;
+  /**
+   * Resolves the controllers of a DID Document: the DID Documents whose
+   * capabilityInvocation keys may sign operations on it. A DID Document
+   * without a `controller` property (or that lists its own DID in it) is
+   * its own controller. The DID Documents of other controllers are fetched,
+   * and their own controllers resolved in turn (up to `maxDepth` levels);
+   * deactivated controllers are skipped.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The DID.
+   * @param {object} [options.didDocument] - The DID Document (fetched if not
+   *   given).
+   * @param {number} [options.maxDepth=5] - Max number of controller DIDs
+   *   between the DID and an (indirect) controller.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<Array<{did: string, didDocument: object,
+   *   chain: Array<string>}>>} Resolves with the controllers, along with
+   *   the chain of DIDs from the DID to each controller.
+   */
+  async resolveControllerChain({did, didDocument, maxDepth = 5, signal} = {}) {
+    if(!did) {
+      throw new TypeError('The "did" parameter is required.');
+    }
+    didDocument = didDocument || await this.get({did, signal});
+    const controllers = [];
+    const visited = new Set();
+    const visit = async ({didDocument, chain}) => {
+      const {id} = didDocument;
+      visited.add(id);
+      for(const controller of _controllers({didDocument})) {
+        if(controller === id) {
+          controllers.push({did: id, didDocument, chain});
+          continue;
+        }
+        if(visited.has(controller)) {
+          // cycle, or a controller reached through another chain already
+          continue;
+        }
+        if(chain.length > maxDepth) {
+          throw new InvalidDidDocumentError(
+            `The controller chain of "${did}" is longer than ${maxDepth}.`,
+            {did, chain: [...chain, controller]});
+        }
+        const {didAuthority, didType} = _parseDid({did: controller});
+        const {didDocument: controllerDoc, meta} =
+          await this._fetchDidDocument(
+            {did: didAuthority, didType, signal});
+        if(!meta?.deactivated) {
+          await visit(
+            {didDocument: controllerDoc, chain: [...chain, controller]});
+        }
+      }
+    };
+    await visit({didDocument, chain: [did]});
+    return controllers;
+  }
+
+  /**
+   * Verifies that a key may sign operations on a DID Document: it must be a
+   * capabilityInvocation method of the DID Document, or of one of its
+   * (indirect) controllers (see `resolveControllerChain()`). Used to check
+   * the `verificationMethod` of an operation's invocation proof.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The DID of the DID Document.
+   * @param {string} options.methodId - The id of the key.
+   * @param {object} [options.didDocument] - The DID Document (fetched if not
+   *   given), such as the current ledger record, or the DID Document of a
+   *   'create' operation.
+   * @param {number} [options.maxDepth=5] - Max length of a controller chain.
+   * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
+   *
+   * @returns {Promise<{valid: boolean, error: Error, controller: string,
+   *   chain: Array<string>}>} Resolves with the validation result, and the
+   *   controller (and chain of controller DIDs) the key belongs to.
+   */
+  async verifyController({did, methodId, didDocument, maxDepth, signal} = {}) {
+    if(!(did && methodId)) {
+      throw new TypeError('The "did" and "methodId" parameters are required.');
+    }
+    const controllers = await this.resolveControllerChain(
+      {did, didDocument, maxDepth, signal});
+    for(const {did: controller, didDocument: controllerDoc, chain} of
+      controllers) {
+      const authorized = (controllerDoc.capabilityInvocation || []).some(
+        entry => (entry.id || entry) === methodId);
+      if(authorized) {
+        return {valid: true, controller, chain};
+      }
+    }
+    return {
+      valid: false,
+      error: new ControllerNotAuthorizedError(
+        `Key "${methodId}" is not authorized to invoke capabilities for ` +
+        `"${did}".`,
+        {did, methodId, controllers: controllers.map(({did}) => did)})
+    };
   }
 
   /**
@@ -509,14 +1998,28 @@ export class VeresOneDriver {
    * - If cryptonym DIDs, ensures nym is validated against the invocation key.
    * - Tests for invalid characters in the Specific ID.
    *
+   * A rotated capabilityInvocation key (see `rotateKey()`) no longer
+   * matches the cryptonym, so on 'update', a cryptonym DID is also valid if
+   * its capabilityInvocation key is the one of `previousDidDocument`, or if
+   * the `operation` replaces that key and is signed by it.
+   *
    * @param {object} options - Options hashmap.
    * @param {string} options.didDocument - DID document to validate.
    * @param {string} [options.mode='dev'] - Mode: 'test'/'live' etc.
+   * @param {string} [options.operationType='create'] - The type of the
+   *   operation ('create' or 'update').
+   * @param {object} [options.previousDidDocument] - On 'update', the DID
+   *   Document the update applies to (the current ledger record).
+   * @param {object} [options.operation] - On 'update', the update operation
+   *   (with its capabilityInvocation proof).
    *
    * @returns {Promise<{valid: boolean, error: Error}>} - Resolves with the
    *   validation result.
    */
-  static async validateDid({didDocument, mode = constants.DEFAULT_MODE} = {}) {
+  static async validateDid({
+    didDocument, mode = constants.DEFAULT_MODE, operationType = 'create',
+    previousDidDocument, operation
+  } = {}) {
     if(!(didDocument && didDocument.id)) {
       throw new TypeError('The "didDocument.id" parameter is required.');
     }
@@ -524,7 +2027,7 @@ export class VeresOneDriver {
     if(typeof did !== 'string') {
       return {
         valid: false,
-        error: new Error('DID must be a string.')
+        error: new InvalidDidError('DID must be a string.', {did})
       };
     }
     // Make an exception for urn:uuid: type DID (elector pool doc, for example)
@@ -536,7 +2039,7 @@ export class VeresOneDriver {
     try {
       parsedDid = _parseDid({did});
     } catch(e) {
-      const error = new Error(`Invalid DID format: "${did}".`);
+      const error = new InvalidDidError(`Invalid DID format: "${did}".`, {did});
       error.cause = e;
       return {
         error,
@@ -548,24 +2051,25 @@ export class VeresOneDriver {
 
     if(mode === 'test' && didMode !== 'test') {
       return {
-        error: new Error(`DID is invalid for test mode: "${did}".`),
+        error: new InvalidDidError(
+          `DID is invalid for test mode: "${did}".`, {did, mode}),
         valid: false
       };
     }
 
     if(mode !== 'test' && didMode === 'test') {
       return {
-        error: new Error(
-          `Test DID does not match mode "${mode}": "${did}".`),
+        error: new InvalidDidError(
+          `Test DID does not match mode "${mode}": "${did}".`, {did, mode}),
         valid: false
       };
     }
 
     // ensure no invalid characters
-    if((/[^A-Za-z0-9:\-.]+/).exec(id)) {
+    if(SPECIFIC_ID_INVALID_CHARS.test(id)) {
       return {
-        error: new Error(
-          `Specific id contains invalid characters: "${did}".`),
+        error: new InvalidDidError(
+          `Specific id contains invalid characters: "${did}".`, {did}),
         valid: false
       };
     }
@@ -573,7 +2077,8 @@ export class VeresOneDriver {
     // if type is 'uuid', no further validation necessary at the moment
 
     if(didType === 'nym') {
-      return this._validateCryptonymDid({didDocument});
+      return this._validateCryptonymDid(
+        {didDocument, operationType, previousDidDocument, operation});
     }
 
     // success
@@ -588,33 +2093,39 @@ export class VeresOneDriver {
    *
    * @param {object} options - Options hashmap.
    * @param {string} options.didDocument - A DID document.
+   * @param {string} [options.operationType='create'] - The type of the
+   *   operation.
+   * @param {object} [options.previousDidDocument] - On 'update', the DID
+   *   Document the update applies to.
+   * @param {object} [options.operation] - On 'update', the update operation.
    *
    * @returns {Promise<{valid: boolean, error: Error}>} - Resolves with the
    *   validation result.
    */
-  static async _validateCryptonymDid({didDocument} = {}) {
+  static async _validateCryptonymDid({
+    didDocument, operationType = 'create', previousDidDocument, operation
+  } = {}) {
     const did = didDocument.id;
     const capabilityInvocationMethod = didIo.findVerificationMethod({
       doc: didDocument, purpose: 'capabilityInvocation'
     });
     if(!capabilityInvocationMethod) {
       return {
-        error: new Error('Cryptonym DID requires a capabilityInvocation key.'),
+        error: new InvalidDidDocumentError(
+          'Cryptonym DID requires a capabilityInvocation key.', {did}),
         valid: false
       };
     }
-    const keyPair =
-      await Ed25519VerificationKey2020.from(capabilityInvocationMethod);
-    if(!(keyPair && keyPair.publicKeyMultibase)) {
-      return {
-        error: new Error('Public key is required for cryptonym verification.'),
-        valid: false
-      };
+    const result = await _verifyCryptonym(
+      {did, method: capabilityInvocationMethod});
+    if(result.valid || operationType !== 'update' || !previousDidDocument) {
+      return result;
     }
-    const fingerprint = DID_REGEX.exec(did)[4];
-
-    // verifyFingerprint has the desired validator return signature
-    return keyPair.verifyFingerprint({fingerprint});
+    const rotated = await _isRotatedInvocationKey({
+      didDocument, method: capabilityInvocationMethod, previousDidDocument,
+      operation
+    });
+    return rotated ? {valid: true} : result;
   }
 
   /**
@@ -635,9 +2146,12 @@ export class VeresOneDriver {
   async validateMethodIds({didDocument}) {
     const did = didDocument.id;
 
-    // get all expanded verification methods
+    // get all expanded verification methods (including the ones that
+    // relationships reference)
     const allVerificationMethods = {};
-    for(const proofPurpose of constants.VERIFICATION_RELATIONSHIPS) {
+    for(const proofPurpose of [
+      'verificationMethod', ...constants.VERIFICATION_RELATIONSHIPS
+    ]) {
       const methods = didDocument[proofPurpose] || [];
       for(const method of methods) {
         if(typeof method === 'object' && method.id !== undefined) {
@@ -669,26 +2183,32 @@ export class VeresOneDriver {
         const parts = keyPair.id.split('#');
         if(parts.length !== 2) {
           return {
-            error: new Error(
+            error: new InvalidDidDocumentError(
               'Invalid DID key ID; key ID must be of the form ' +
-              '"<did>#<multibase key fingerprint>".'),
+              '"<did>#<multibase key fingerprint>".',
+              {did, methodId: keyPair.id}),
             valid: false
           };
         }
         if(parts[0] !== did) {
           return {
-            error: new Error(
-              'Invalid DID key ID; key ID does not match the DID.'),
+            error: new InvalidDidDocumentError(
+              'Invalid DID key ID; key ID does not match the DID.',
+              {did, methodId: keyPair.id}),
             valid: false
           };
         }
 
         const fingerprint = parts[1];
 
-        // verifyFingerprint has the same validator return signature
         const result = keyPair.verifyFingerprint({fingerprint});
         if(!result.valid) {
-          return result;
+          return {
+            error: new InvalidDidDocumentError(
+              'Invalid DID key ID; key ID does not match the key ' +
+              'fingerprint.', {did, methodId: keyPair.id, error: result.error}),
+            valid: false
+          };
         }
       }
     }
@@ -732,14 +2252,14 @@ export async function fromNym({did, cryptoLd, verificationSuite} = {}) {
   const {didType, id: fingerprint, mode} = _parseDid({did});
 
   if(didType !== 'nym') {
-    throw new Error(`"${did}" is not a cryptonym.`);
+    throw new InvalidDidError(`"${did}" is not a cryptonym.`, {did});
   }
 
   try {
     invokeKey = verificationSuite.fromFingerprint({fingerprint});
     invokeKey.controller = did;
   } catch(error) {
-    throw new Error(`Invalid cryptonym: ${did}`);
+    throw new InvalidDidError(`Invalid cryptonym: ${did}`, {did, error});
   }
   // Use that key to deterministically construct a DID Doc
   return VeresOneDriver.generate({
@@ -752,15 +2272,16 @@ export async function fromNym({did, cryptoLd, verificationSuite} = {}) {
 }
 
 /**
- * Converts an Ed25519 key pair instance to an X25519 key agreement key pair,
- * based on the suite year.
+ * Converts an Ed25519 key pair instance (`Ed25519VerificationKey2020` or
+ * `Multikey`) to an X25519 key agreement key pair.
  *
  * @param {LDKeyPair} verificationKeyPair - An Ed25519 verification key pair.
  * @returns {LDKeyPair} Returns the derived key agreement key pair instance.
  */
 function _deriveKeyAgreementKey({verificationKeyPair}) {
   let keyAgreementKeyPair;
-  if(verificationKeyPair.type === 'Ed25519VerificationKey2020') {
+  // includes `Ed25519Multikey` key pairs
+  if(verificationKeyPair instanceof Ed25519VerificationKey2020) {
     keyAgreementKeyPair = X25519KeyAgreementKey2020
       .fromEd25519VerificationKey2020({keyPair: verificationKeyPair});
   } else {
@@ -772,11 +2293,297 @@ function _deriveKeyAgreementKey({verificationKeyPair}) {
   return keyAgreementKeyPair;
 }
 
+/**
+ * Builds the DID Document metadata for a DID Resolution result.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.meta - Ledger record metadata.
+ * @param {string} options.source - Where the DID Document came from, either
+ *   'ledger' or 'nym' (constructed from the cryptonym DID).
+ *
+ * @returns {object} The DID Document metadata.
+ */
+function _didDocumentMetadata({meta = {}, source}) {
+  const didDocumentMetadata = {source};
+  if(source !== 'ledger') {
+    return didDocumentMetadata;
+  }
+  if(meta.sequence !== undefined) {
+    didDocumentMetadata.sequence = meta.sequence;
+    didDocumentMetadata.versionId = String(meta.sequence);
+  }
+  if(meta.deactivated) {
+    didDocumentMetadata.deactivated = true;
+  }
+  for(const property of ['created', 'updated']) {
+    if(meta[property] !== undefined) {
+      didDocumentMetadata[property] = _toXmlDateTime(meta[property]);
+    }
+  }
+  return didDocumentMetadata;
+}
+
+function _operationDid({operation}) {
+  const did = operation.record?.id ?? operation.recordPatch?.target;
+  if(typeof did !== 'string') {
+    throw new TypeError('Unable to determine the DID of the operation.');
+  }
+  return did;
+}
+
+// JSON Pointers overlap if one contains the other, or if they point into
+// different elements of the same array (whose indexes may have shifted)
+function _pathsOverlap(a, b) {
+  const aTokens = a.split('/');
+  const bTokens = b.split('/');
+  let i = 0;
+  while(i < aTokens.length && i < bTokens.length && aTokens[i] === bTokens[i]) {
+    ++i;
+  }
+  if(i === aTokens.length || i === bTokens.length) {
+    return true;
+  }
+  const isIndex = token => /^(\d+|-)$/.test(token);
+  return isIndex(aTokens[i]) && isIndex(bTokens[i]);
+}
+
+function _invocationProofs({operation}) {
+  const proofs = [].concat(operation.proof || []);
+  return proofs.filter(({proofPurpose}) =>
+    proofPurpose === 'capabilityInvocation');
+}
+
+// finds a capabilityInvocation method of any of the given controllers
+function _controllerInvocationMethod({controllers, methodId}) {
+  for(const {didDocument} of controllers) {
+    const authorized = (didDocument.capabilityInvocation || []).some(
+      entry => (entry.id || entry) === methodId);
+    if(authorized) {
+      return didIo.findVerificationMethod({doc: didDocument, methodId});
+    }
+  }
+}
+
+// verifies that a cryptonym DID was generated from its capabilityInvocation
+// key
+async function _verifyCryptonym({did, method}) {
+  let keyPair;
+  try {
+    keyPair = await DEFAULT_CRYPTO_LD.from(method);
+  } catch(error) {
+    return {
+      error: new InvalidDidDocumentError(
+        `Unsupported capabilityInvocation key type "${method.type}".`,
+        {did, error}),
+      valid: false
+    };
+  }
+  if(!(keyPair && keyPair.publicKeyMultibase)) {
+    return {
+      error: new InvalidDidDocumentError(
+        'Public key is required for cryptonym verification.', {did}),
+      valid: false
+    };
+  }
+  const fingerprint = DID_REGEX.exec(did)[4];
+
+  const result = keyPair.verifyFingerprint({fingerprint});
+  if(!result.valid) {
+    return {
+      error: new InvalidDidError(
+        'DID does not match its capabilityInvocation key.',
+        {did, fingerprint, error: result.error}),
+      valid: false
+    };
+  }
+  return result;
+}
+
+// tests whether the capabilityInvocation key of an updated cryptonym DID
+// Document is the (already validated) key of the previous DID Document, or
+// replaces that key in an update signed by it
+async function _isRotatedInvocationKey({
+  didDocument, method, previousDidDocument, operation
+}) {
+  const did = didDocument.id;
+  const previous = previousDidDocument.id === did &&
+    didIo.findVerificationMethod(
+      {doc: previousDidDocument, purpose: 'capabilityInvocation'});
+  if(!previous) {
+    return false;
+  }
+  if(method.id === previous.id &&
+    method.publicKeyMultibase === previous.publicKeyMultibase) {
+    return true;
+  }
+  const replaced = !(didDocument.capabilityInvocation || []).some(
+    entry => (entry.id || entry) === previous.id);
+  if(!(replaced && operation?.recordPatch?.target === did)) {
+    return false;
+  }
+  const proof = _invocationProofs({operation}).find(
+    ({verificationMethod}) => verificationMethod === previous.id);
+  if(!proof) {
+    return false;
+  }
+  const key = await DEFAULT_CRYPTO_LD.from(previous);
+  const {verified} = await verifyInvocationProof({
+    operation, proof, key, capability: did, invocationTarget: did,
+    controllers: [previousDidDocument]
+  });
+  return verified;
+}
+
+// the DIDs of a DID Document's controllers (itself, by default)
+function _controllers({didDocument}) {
+  const {id, controller = id} = didDocument;
+  return Array.isArray(controller) ? controller : [controller];
+}
+
+function _assertNotDeactivated({did, meta}) {
+  if(meta.deactivated) {
+    throw new OperationRejectedError(
+      `DID "${did}" has been deactivated.`, {did, deactivated: true});
+  }
+}
+
+// services are validated before anything is sent to the ledger
+function _assertValidServices({didDocument}) {
+  const {valid, error} = validateServices({didDocument});
+  if(!valid) {
+    throw error;
+  }
+}
+
+function _resolutionError({error, message}) {
+  return {
+    didDocument: null,
+    didDocumentMetadata: {},
+    didResolutionMetadata: {error, errorMessage: message}
+  };
+}
+
+function _toXmlDateTime(date) {
+  if(typeof date === 'string') {
+    return date;
+  }
+  // drop milliseconds, per the DID Core `created`/`updated` format
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Selects a service endpoint from a DID Document, per the `service` and
+ * `relativeRef` DID URL parameters.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The resolved DID Document.
+ * @param {object} options.didDocumentMetadata - The DID Document metadata.
+ * @param {string} options.didUrl - The DID URL being dereferenced.
+ * @param {string} options.serviceId - Value of the `service` parameter (the
+ *   service id fragment).
+ * @param {string} [options.relativeRef] - Value of the `relativeRef`
+ *   parameter, resolved against the service endpoint URL.
+ * @param {string} [options.fragment] - DID URL fragment, appended to the
+ *   resulting URL.
+ *
+ * @returns {{contentStream: string, contentMetadata: object,
+ *   dereferencingMetadata: object}} The DID URL Dereferencing result.
+ */
+function _dereferenceServiceEndpoint({
+  didDocument, didDocumentMetadata, didUrl, serviceId, relativeRef, fragment
+}) {
+  const service = _findService({
+    didDocument, did: didDocument.id, fragment: serviceId
+  });
+  if(!service) {
+    return _dereferencingError({
+      error: 'notFound', message: `Service "${serviceId}" not found.`
+    });
+  }
+  const {serviceEndpoint} = service;
+  const endpoints = Array.isArray(serviceEndpoint) ?
+    serviceEndpoint : [serviceEndpoint];
+  const endpoint = endpoints.find(endpoint => typeof endpoint === 'string');
+  if(!endpoint) {
+    return _dereferencingError({
+      error: 'notFound',
+      message: `Service "${serviceId}" has no URL service endpoint.`
+    });
+  }
+
+  let url;
+  try {
+    url = new URL(relativeRef || '', endpoint);
+  } catch(e) {
+    return _dereferencingError({
+      error: 'invalidDidUrl',
+      message: `Could not construct a service endpoint URL for "${didUrl}".`
+    });
+  }
+  if(fragment !== undefined) {
+    url.hash = fragment;
+  }
+  return {
+    contentStream: url.href,
+    contentMetadata: didDocumentMetadata,
+    dereferencingMetadata: {contentType: 'text/uri-list'}
+  };
+}
+
+function _findService({didDocument, did, fragment}) {
+  const services = didDocument.service || [];
+  return services.find(({id}) => id === `${did}#${fragment}` ||
+    id === `#${fragment}`);
+}
+
+function _dereferencingError({error, message}) {
+  return {
+    contentStream: null,
+    contentMetadata: {},
+    dereferencingMetadata: {error, errorMessage: message}
+  };
+}
+
+/**
+ * Parses a Veres One DID URL into its components.
+ *
+ * @example
+ * parseDidUrl({didUrl: 'did:v1:nym:z6Mk...?service=hub#inbox'});
+ * // -> {did: 'did:v1:nym:z6Mk...', didType: 'nym', params: {service: 'hub'},
+ * //   fragment: 'inbox', ...}
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.didUrl - A DID URL.
+ *
+ * @returns {{did: string, didUrl: string, mode: string, didType: string,
+ *   id: string, path: string, query: string, params: object,
+ *   fragment: string}} The parsed DID URL. `path`, `query` and `fragment`
+ *   are `undefined` when not present in the DID URL.
+ */
+export function parseDidUrl({didUrl} = {}) {
+  if(typeof didUrl !== 'string') {
+    throw new TypeError('The "didUrl" parameter must be a string.');
+  }
+  const match = DID_URL_REGEX.exec(didUrl);
+  if(!match) {
+    throw new InvalidDidError(`Invalid DID URL format: "${didUrl}".`, {didUrl});
+  }
+  const [, did, path, query, fragment] = match;
+  const {mode, didType, id} = _parseDid({did});
+  if(SPECIFIC_ID_INVALID_CHARS.test(id)) {
+    throw new InvalidDidError(
+      `Specific id contains invalid characters: "${did}".`, {did});
+  }
+  const params = Object.fromEntries(new URLSearchParams(query));
+
+  return {did, didUrl, mode, didType, id, path, query, params, fragment};
+}
+
 function _parseDid({did} = {}) {
   const match = DID_REGEX.exec(did);
 
   if(!match) {
-    throw new Error(`Invalid DID format: "${did}".`);
+    throw new InvalidDidError(`Invalid DID format: "${did}".`, {did});
   }
 
   // Match [2] is the ledger mode, either undefined (live or dev) or 'test:'
@@ -817,6 +2624,36 @@ function _generateDid({key, didType = DEFAULT_DID_TYPE, mode = DEFAULT_MODE}) {
   return _createCryptonymDid({key, mode});
 }
 
+// returns a convenience function that returns the public/private key pair
+// instance for a given purpose (authentication, assertionMethod,
+// keyAgreement, etc)
+function _methodFor({didDocument, keyPairs}) {
+  return ({purpose}) => {
+    const {id: methodId} = didIo.findVerificationMethod({
+      doc: didDocument, purpose
+    });
+    return keyPairs.get(methodId);
+  };
+}
+
+// returns the verification methods defined in a DID Document (in
+// `verificationMethod`, or embedded in relationships)
+function _verificationMethods({didDocument}) {
+  return ['verificationMethod', ...constants.VERIFICATION_RELATIONSHIPS]
+    .flatMap(property => didDocument[property] || [])
+    .filter(method => typeof method === 'object' && method.id !== undefined);
+}
+
+// imports a serialized key pair (for example, a Multikey exported by
+// `@digitalbazaar/ed25519-multikey`, which has no `type`); key pair instances
+// are returned as is
+async function _importKeyPair({key, cryptoLd}) {
+  if(typeof key.fingerprint === 'function') {
+    return key;
+  }
+  return cryptoLd.from({type: 'Multikey', ...key});
+}
+
 function _keyId({did, keyPair}) {
   if(keyPair.id && keyPair.id.startsWith('did:v1:')) {
     return keyPair.id;
@@ -1,9 +1,16 @@
 /*!
- * Copyright (c) 2018-2023 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
+import {
+  DEFAULT_PROOF_SUITE, PROOF_SUITES, ZCAP_CONTEXT_URL
+} from './constants.js';
 import {CapabilityInvocation} from '@digitalbazaar/zcap';
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
 import {documentLoader} from './documentLoader.js';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {
+  cryptosuite as eddsaRdfc2022CryptoSuite
+} from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
 import jsigs from 'jsonld-signatures';
 
 /**
@@ -47,23 +54,29 @@ import jsigs from 'jsonld-signatures';
  * @param {string} options.mode - Ledger mode ('test', 'live' etc).
  * @param {string} [options.invocationTarget = operation.record.{id, target}]
  *   - An optional invocationTarget.
+ * @param {string} [options.proofSuite='Ed25519Signature2020'] - The proof
+ *   suite of the capability invocation proof, see `attachInvocationProof()`.
+ * @param {AbortSignal} [options.signal] - Cancels requests to the ledger.
  *
  * @returns {Promise<object>} - An operation document with proofs attached.
  */
 export async function attachProofs(operation, {
   did, client, capabilityInvocationKeyPair = {}, signer = {}, logger,
-  authenticationKeyPair, authDoc, accelerator, mode, invocationTarget
+  authenticationKeyPair, authDoc, accelerator, mode, invocationTarget,
+  proofSuite = DEFAULT_PROOF_SUITE, signal
 } = {}) {
+  // fail before asking the ticket service (or accelerator) for a proof
+  _assertProofSuite({proofSuite});
   if(accelerator) {
     // send operation to an accelerator for proof
     logger.log('Sending to accelerator for proof:', accelerator);
     operation = await attachAcceleratorProof(operation, {
       client, authenticationKeyPair, capabilityInvocationKeyPair, accelerator,
-      authDoc, mode, logger
+      authDoc, mode, logger, signal
     });
   } else {
     // send to ticket service for a proof
-    operation = await attachTicketServiceProof({client, ...operation});
+    operation = await attachTicketServiceProof({client, signal, ...operation});
   }
   // get invocation target from the record/recordPatch in the operation
   invocationTarget = invocationTarget || _getInvocationTarget({operation});
@@ -76,7 +89,8 @@ export async function attachProofs(operation, {
     controller,
     invocationTarget,
     key: capabilityInvocationKeyPair,
-    signer
+    signer,
+    proofSuite
   });
 
   return operation;
@@ -96,11 +110,12 @@ export async function attachProofs(operation, {
  * @param {string}  [options.accelerator] - Hostname of accelerator to use.
  * @param {string} options.mode - Ledger mode ('test', 'live' etc).
  * @param {object} options.logger - Logger object.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
  *
  * @returns {Promise<object>} Response from an axios POST request.
  */
 export async function attachAcceleratorProof(operation, {
-  client, authenticationKeyPair, accelerator, mode, logger
+  client, authenticationKeyPair, accelerator, mode, logger, signal
 } = {}) {
   // send DID Document to a Veres One accelerator
   logger.log('Generating accelerator signature...');
@@ -108,7 +123,8 @@ export async function attachAcceleratorProof(operation, {
     operation,
     hostname: accelerator,
     env: mode,
-    authKey: authenticationKeyPair
+    authKey: authenticationKeyPair,
+    signal
   });
 }
 
@@ -127,6 +143,11 @@ export async function attachAcceleratorProof(operation, {
  *   public/private key pair instance.
  * @param {{sign: Function, id: string}} [options.signer] - A signer-type object
  *   such as that provided by a KMS.
+ * @param {string} [options.proofSuite='Ed25519Signature2020'] - The proof
+ *   suite: 'Ed25519Signature2020', or 'eddsa-rdfc-2022' for a Data Integrity
+ *   (`DataIntegrityProof`) proof. The latter needs an Ed25519 key (or
+ *   signer); signers without an `algorithm` are assumed to be Ed25519
+ *   signers.
  *
  * @returns {Promise<object>} - An operation document with proofs attached.
  */
@@ -136,11 +157,12 @@ export async function attachInvocationProof({
   capabilityAction = 'write',
   invocationTarget,
   key,
-  signer
+  signer,
+  proofSuite = DEFAULT_PROOF_SUITE
 } = {}) {
   return jsigs.sign(operation, {
     documentLoader,
-    suite: new Ed25519Signature2020({key, signer}),
+    suite: _createSuite({proofSuite, key, signer}),
     purpose: new CapabilityInvocation({
       capability,
       capabilityAction,
@@ -149,15 +171,131 @@ export async function attachInvocationProof({
   });
 }
 
-export async function attachTicketServiceProof({client, ...operation} = {}) {
-  const s = await client.getStatus();
+/**
+ * Verifies one zcap-style invocation proof of an operation (one of the
+ * proofs gathered with `attachInvocationProof()`), against a given key.
+ * The proof is verified as an invocation of the DID's root capability (with
+ * the same id as the DID, controlled by the DID Document and its
+ * controllers), so its signature, capability, action, target and the
+ * authority of its key are all checked. Both `Ed25519Signature2020` and
+ * `DataIntegrityProof` (`eddsa-rdfc-2022`) proofs are supported.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.operation - WebLedger operation.
+ * @param {object} options.proof - The capabilityInvocation proof to verify.
+ * @param {LDKeyPair} options.key - The (public) key of the proof's
+ *   `verificationMethod`.
+ * @param {string} options.capability - Expected capability (DID) url.
+ * @param {string} options.invocationTarget - Expected invocationTarget.
+ * @param {string} [options.capabilityAction='write'] - Expected action.
+ * @param {Array<object>} [options.controllers] - The DID Documents that
+ *   control the capability: the DID Document and those of its controllers
+ *   (see `VeresOneDriver.resolveControllerChain()`). Defaults to a document
+ *   of the key's controller, with the key as its capabilityInvocation key.
+ *
+ * @returns {Promise<{verified: boolean, error: Error}>} Resolves with the
+ *   verification result.
+ */
+export async function verifyInvocationProof({
+  operation, proof, key, capability, invocationTarget,
+  capabilityAction = 'write',
+  controllers = [{id: key.controller, capabilityInvocation: [key.id]}]
+} = {}) {
+  if(proof.verificationMethod !== key.id) {
+    return {
+      verified: false,
+      error: new Error(`Proof was not created with key "${key.id}".`)
+    };
+  }
+  // the document that authorizes the key, given rather than loaded since
+  // it has the same id as the root capability of its own DID
+  const controller = controllers.find(({id}) => id === key.controller);
+  if(!controller) {
+    return {
+      verified: false,
+      error: new Error(
+        `Key "${key.id}" is not controlled by a controller of ` +
+        `"${capability}".`)
+    };
+  }
+  const rootCapability = {
+    '@context': ZCAP_CONTEXT_URL,
+    id: capability,
+    controller: controllers.map(({id}) => id),
+    invocationTarget: capability
+  };
+  const suite = proof.type === 'DataIntegrityProof' ?
+    new DataIntegrityProof({cryptosuite: eddsaRdfc2022CryptoSuite}) :
+    new Ed25519Signature2020({key});
+  // the suite loads the proof's verification method, which is the key
+  const loader = async url => {
+    if(url === capability) {
+      return {contextUrl: null, document: rootCapability, documentUrl: url};
+    }
+    if(url === key.id) {
+      return {
+        contextUrl: null,
+        document: key.export({publicKey: true, includeContext: true}),
+        documentUrl: url
+      };
+    }
+    return documentLoader(url);
+  };
+  const {verified, error} = await jsigs.verify({...operation, proof}, {
+    documentLoader: loader,
+    suite,
+    purpose: new CapabilityInvocation({
+      controller,
+      expectedAction: capabilityAction,
+      expectedRootCapability: capability,
+      expectedTarget: invocationTarget,
+      suite
+    })
+  });
+  return {verified, error};
+}
+
+export async function attachTicketServiceProof({
+  client, signal, ...operation
+} = {}) {
+  const s = await client.getStatus({signal});
   const ticketService = s.service['urn:veresone:ticket-service'].id;
   const result = await client.getTicketServiceProof({
-    operation, ticketService
+    operation, ticketService, signal
   });
   return result.operation;
 }
 
+function _assertProofSuite({proofSuite}) {
+  if(!PROOF_SUITES.includes(proofSuite)) {
+    throw new TypeError(
+      `Unsupported proof suite "${proofSuite}"; supported suites are ` +
+      `${PROOF_SUITES.map(suite => `"${suite}"`).join(', ')}.`);
+  }
+}
+
+function _createSuite({proofSuite, key, signer}) {
+  _assertProofSuite({proofSuite});
+  if(proofSuite === 'Ed25519Signature2020') {
+    return new Ed25519Signature2020({key, signer});
+  }
+  // a signer from a KMS, or else the signer of the key pair
+  if(typeof signer?.sign !== 'function') {
+    if(typeof key?.signer !== 'function') {
+      throw new TypeError('Either a "key" or a "signer" is required.');
+    }
+    signer = key.signer();
+  }
+  if(signer.algorithm === undefined) {
+    // like `Ed25519Signature2020`, which does not check the algorithm
+    const {id} = signer;
+    const ed25519Signer = signer;
+    signer = {id, algorithm: 'Ed25519', sign: data => ed25519Signer.sign(data)};
+  }
+  return new DataIntegrityProof(
+    {signer, cryptosuite: eddsaRdfc2022CryptoSuite});
+}
+
 function _getInvocationTarget({operation}) {
   if(operation.record) {
     return operation.record.id;
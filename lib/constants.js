@@ -1,8 +1,10 @@
 /*!
- * Copyright (c) 2018-2022 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
+import * as dataIntegrityContext from '@digitalbazaar/data-integrity-context';
 import * as didContext from 'did-context';
 import * as jsonldPatchContext from 'json-ld-patch-context';
+import * as multikeyContext from '@digitalbazaar/multikey-context';
 import * as veresOneContext from 'veres-one-context';
 import * as webLedgerContext from 'web-ledger-context';
 import * as zcapContext from '@digitalbazaar/zcap-context';
@@ -15,9 +17,24 @@ export const WEB_LEDGER_CONTEXT_URL =
   webLedgerContext.constants.WEB_LEDGER_CONTEXT_V1_URL;
 export const DID_CONTEXT_URL = didContext.constants.DID_CONTEXT_URL;
 export const ZCAP_CONTEXT_URL = zcapContext.constants.CONTEXT_URL;
+export const MULTIKEY_CONTEXT_URL = multikeyContext.constants.CONTEXT_URL;
+export const DATA_INTEGRITY_CONTEXT_URL =
+  dataIntegrityContext.constants.CONTEXT_URL;
+export const JWS_2020_CONTEXT_URL =
+  'https://w3id.org/security/suites/jws-2020/v1';
 export const DEFAULT_MODE = 'dev';
 export const DEFAULT_DID_TYPE = 'nym'; // vs. 'uuid'
-export const SUPPORTED_KEY_TYPES = ['Ed25519VerificationKey2020'];
+export const DID_LD_JSON_CONTENT_TYPE = 'application/did+ld+json';
+export const DID_JSON_CONTENT_TYPE = 'application/did+json';
+export const LD_JSON_CONTENT_TYPE = 'application/ld+json';
+export const SUPPORTED_CONTENT_TYPES = [
+  DID_LD_JSON_CONTENT_TYPE,
+  DID_JSON_CONTENT_TYPE
+];
+// proof suites of capabilityInvocation proofs on ledger operations
+export const PROOF_SUITES = ['Ed25519Signature2020', 'eddsa-rdfc-2022'];
+export const DEFAULT_PROOF_SUITE = 'Ed25519Signature2020';
+export const SUPPORTED_KEY_TYPES = ['Ed25519VerificationKey2020', 'Multikey'];
 export const VERIFICATION_RELATIONSHIPS = [
   'assertionMethod',
   'authentication',
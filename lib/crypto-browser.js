@@ -0,0 +1,4 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+export const webcrypto = globalThis.crypto;
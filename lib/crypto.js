@@ -0,0 +1,6 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {webcrypto} from 'node:crypto';
+
+export {webcrypto};
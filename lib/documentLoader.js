@@ -1,17 +1,21 @@
 /*!
- * Copyright (c) 2018-2023 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
+import * as dataIntegrityContext from '@digitalbazaar/data-integrity-context';
 import * as didContext from 'did-context';
 import * as edContext from 'ed25519-signature-2020-context';
 import * as jsonldPatchContext from 'json-ld-patch-context';
+import * as multikeyContext from '@digitalbazaar/multikey-context';
 import * as veresOneContext from 'veres-one-context';
 import * as webLedgerContext from 'web-ledger-context';
 import * as x25519Context from 'x25519-key-agreement-2020-context';
 import * as zcapContext from '@digitalbazaar/zcap-context';
 
 const contextDocuments = new Map([
+  ...dataIntegrityContext.contexts,
   ...didContext.contexts,
   ...jsonldPatchContext.contexts,
+  ...multikeyContext.contexts,
   ...veresOneContext.contexts,
   ...webLedgerContext.contexts,
   ...edContext.contexts,
@@ -0,0 +1,136 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {VeresOneClientError} from './VeresOneClientError.js';
+
+/**
+ * Typed errors thrown by the client and driver. Each has a stable `code` and
+ * structured `details`, so that callers can branch on `code` (or
+ * `instanceof`) instead of on messages. Errors that replace ones thrown by
+ * earlier versions keep their `name` ('NotFoundError', 'NetworkError'), for
+ * backwards compatibility.
+ */
+
+/**
+ * A DID (or DID URL) was not found on the ledger.
+ */
+export class DidNotFoundError extends VeresOneClientError {
+  constructor(message = 'DID not found.', details = {}) {
+    super(message, 'NotFoundError', details, 'notFound');
+  }
+}
+
+/**
+ * A DID (or DID URL) is malformed, or invalid for the ledger mode.
+ */
+export class InvalidDidError extends VeresOneClientError {
+  constructor(message = 'Invalid DID.', details = {}) {
+    super(message, 'InvalidDidError', details, 'invalidDid');
+  }
+}
+
+/**
+ * A DID Document is invalid (for example, its verification method ids do
+ * not match its DID).
+ */
+export class InvalidDidDocumentError extends VeresOneClientError {
+  constructor(message = 'Invalid DID Document.', details = {}) {
+    super(message, 'InvalidDidDocumentError', details, 'invalidDidDocument');
+  }
+}
+
+/**
+ * A DID Document update patch changes an immutable property, or would leave
+ * the DID Document invalid (for example, without a capabilityInvocation
+ * method). `details.index` and `details.operation` identify the patch
+ * operation responsible.
+ */
+export class InvalidPatchError extends InvalidDidDocumentError {
+  constructor(message = 'Invalid patch.', details = {}) {
+    super(message, details);
+    this.name = 'InvalidPatchError';
+    this.code = 'invalidPatch';
+  }
+}
+
+/**
+ * No ledger node could be reached, or every node returned a server error.
+ * `details.errors` lists the error of each node tried.
+ */
+export class LedgerUnavailableError extends VeresOneClientError {
+  constructor(message = 'Ledger unavailable.', details = {}) {
+    super(message, 'NetworkError', details, 'ledgerUnavailable');
+  }
+}
+
+/**
+ * A ledger node returned an invalid response (for example, an empty record,
+ * or a different record version than requested).
+ */
+export class InvalidLedgerResponseError extends VeresOneClientError {
+  constructor(message = 'Invalid ledger response.', details = {}) {
+    super(message, 'DataError', details, 'invalidLedgerResponse');
+  }
+}
+
+/**
+ * The ticket service could not provide a proof for an operation.
+ */
+export class TicketServiceError extends VeresOneClientError {
+  constructor(message = 'Ticket service error.', details = {}) {
+    super(message, 'TicketServiceError', details, 'ticketServiceError');
+  }
+}
+
+/**
+ * The ledger (or an accelerator) rejected an operation. `details.status` is
+ * the HTTP status, and `details.error` the response data, if any.
+ */
+export class OperationRejectedError extends VeresOneClientError {
+  constructor(message = 'Operation rejected.', details = {}) {
+    super(message, 'OperationRejectedError', details, 'operationRejected');
+  }
+}
+
+/**
+ * An update was made against an outdated version (`sequence`) of a DID
+ * Document.
+ */
+export class SequenceConflictError extends VeresOneClientError {
+  constructor(message = 'Sequence conflict.', details = {}) {
+    super(message, 'SequenceConflictError', details, 'sequenceConflict');
+  }
+}
+
+/**
+ * An operation was sent, but was not confirmed (written to the ledger with
+ * the expected `sequence`) in time.
+ */
+export class ConfirmationTimeoutError extends VeresOneClientError {
+  constructor(message = 'Confirmation timed out.', details = {}) {
+    super(message, 'ConfirmationTimeoutError', details, 'confirmationTimeout');
+  }
+}
+
+/**
+ * A key is not authorized to invoke capabilities for a DID: it is not a
+ * capabilityInvocation method of the DID, or of any of its controllers.
+ */
+export class ControllerNotAuthorizedError extends VeresOneClientError {
+  constructor(message = 'Controller not authorized.', details = {}) {
+    super(
+      message, 'ControllerNotAuthorizedError', details,
+      'controllerNotAuthorized');
+  }
+}
+
+/**
+ * An encrypted keystore (see `exportKeyPairs()`) cannot be imported: it is
+ * malformed, of an unsupported version, or cannot be decrypted (because the
+ * passphrase is wrong, or it has been tampered with).
+ */
+export class InvalidKeystoreError extends VeresOneClientError {
+  constructor(message = 'Invalid keystore.', details = {}) {
+    super(message, 'InvalidKeystoreError', details, 'invalidKeystore');
+  }
+}
@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {VERIFICATION_RELATIONSHIPS} from './constants.js';
+import {webcrypto} from './crypto.js';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+// HKDF salt; changing it changes every derived key
+const SALT = new TextEncoder().encode('did:v1 hierarchical keys v1');
+const MIN_MASTER_SEED_LENGTH = 32;
+
+/**
+ * Derives a key seed from a master seed, for a verification relationship
+ * and a key (rotation) index, with HKDF-SHA256. Each relationship and index
+ * gets an unrelated seed, and the master seed cannot be recovered from it.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.masterSeed - The master seed (at least 32
+ *   random bytes).
+ * @param {string} options.purpose - The verification relationship
+ *   ('capabilityInvocation', 'authentication', etc).
+ * @param {number} [options.index=0] - The key index: `0` for the key of a
+ *   newly generated DID Document, then `1`, `2`, etc for rotated keys.
+ *
+ * @returns {Promise<Uint8Array>} Resolves with a 32-byte seed.
+ */
+export async function deriveSeed({masterSeed, purpose, index = 0} = {}) {
+  if(!(masterSeed instanceof Uint8Array &&
+    masterSeed.length >= MIN_MASTER_SEED_LENGTH)) {
+    throw new TypeError(
+      `The "masterSeed" parameter must be a Uint8Array of at least ` +
+      `${MIN_MASTER_SEED_LENGTH} bytes.`);
+  }
+  if(!VERIFICATION_RELATIONSHIPS.includes(purpose)) {
+    throw new TypeError(`Unknown verification relationship "${purpose}".`);
+  }
+  if(!(Number.isSafeInteger(index) && index >= 0)) {
+    throw new TypeError(
+      'The "index" parameter must be a non-negative integer.');
+  }
+  const key = await webcrypto.subtle.importKey(
+    'raw', masterSeed, 'HKDF', false, ['deriveBits']);
+  const info = new TextEncoder().encode(`${purpose}/${index}`);
+  const bits = await webcrypto.subtle.deriveBits(
+    {name: 'HKDF', hash: 'SHA-256', salt: SALT, info}, key, 256);
+  return new Uint8Array(bits);
+}
+
+/**
+ * Derives the key pair of a verification relationship and key index from a
+ * master seed (see `deriveSeed()`): a key of the verification suite, or an
+ * X25519 key for `keyAgreement`. The same master seed, purpose and index
+ * always give the same key pair, so keys can be recovered from the master
+ * seed alone.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.masterSeed - The master seed.
+ * @param {string} options.purpose - The verification relationship.
+ * @param {number} [options.index=0] - The key index.
+ * @param {object} options.cryptoLd - A CryptoLD instance, to generate keys
+ *   of the verification suite with.
+ * @param {object} [options.verificationSuite=Ed25519VerificationKey2020] -
+ *   The verification suite (key pair class); it must generate Ed25519 keys
+ *   from a seed.
+ *
+ * @returns {Promise<object>} Resolves with the key pair (without an `id`).
+ */
+export async function deriveKeyPair({
+  masterSeed, purpose, index = 0, cryptoLd,
+  verificationSuite = Ed25519VerificationKey2020
+} = {}) {
+  const seed = await deriveSeed({masterSeed, purpose, index});
+  if(purpose === 'keyAgreement') {
+    const keyPair = await Ed25519VerificationKey2020.generate({seed});
+    return X25519KeyAgreementKey2020.fromEd25519VerificationKey2020(
+      {keyPair});
+  }
+  return cryptoLd.generate({type: verificationSuite.suite, seed});
+}
@@ -1,14 +1,35 @@
 /*!
- * Copyright (c) 2018-2023 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 export * as constants from './constants.js';
 export {documentLoader} from './documentLoader.js';
-export {attachInvocationProof} from './attachProof.js';
+export {
+  attachInvocationProof, verifyInvocationProof
+} from './attachProof.js';
 export {VeresOneClient} from './VeresOneClient.js';
+export {VeresOneClientError} from './VeresOneClientError.js';
+export {
+  ConfirmationTimeoutError, ControllerNotAuthorizedError, DidNotFoundError,
+  InvalidDidDocumentError, InvalidDidError, InvalidKeystoreError,
+  InvalidLedgerResponseError, InvalidPatchError, LedgerUnavailableError,
+  OperationRejectedError, SequenceConflictError, TicketServiceError
+} from './errors.js';
+export {
+  describePatch, invertPatch, MUTABLE_PROPERTIES, validatePatch
+} from './patches.js';
+export {deriveKeyPair, deriveSeed} from './hdKeys.js';
+export {methodFromJwk, methodToJwk} from './jwk.js';
+export {LruStore, ResolutionCache} from './ResolutionCache.js';
+export {validateService, validateServices} from './services.js';
 export {DidDocumentUpdater as VeresOneDidDoc} from './DidDocumentUpdater.js';
-import {DID_REGEX, fromNym, VeresOneDriver} from './VeresOneDriver.js';
+export {EcdsaMultikey} from './EcdsaMultikey.js';
+export {Ed25519Multikey} from './Ed25519Multikey.js';
+export {Multikey} from './Multikey.js';
+import {
+  DID_REGEX, fromNym, parseDidUrl, VeresOneDriver
+} from './VeresOneDriver.js';
 
-export {VeresOneDriver, fromNym, DID_REGEX};
+export {VeresOneDriver, fromNym, parseDidUrl, DID_REGEX};
 
 export function driver(options) {
   return new VeresOneDriver(options);
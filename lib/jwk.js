@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+import * as EcdsaMultikeyLib from '@digitalbazaar/ecdsa-multikey';
+import {JWS_2020_CONTEXT_URL, MULTIKEY_CONTEXT_URL} from './constants.js';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+// multicodec x25519-pub header, which `X25519KeyAgreementKey2020` has no
+// JWK conversion for
+const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
+// size of an X25519 public key, in bytes
+const X25519_PUBLIC_KEY_SIZE = 32;
+// multibase (base58-btc) prefixes of multicodec ed25519-pub and x25519-pub
+// keys; other keys are ECDSA keys (see `EcdsaMultikey`)
+const ED25519_PREFIX = 'z6Mk';
+const X25519_PREFIX = 'z6LS';
+
+// the JSON-LD context of each verification method type
+const CONTEXTS = new Map([
+  ['Ed25519VerificationKey2020', Ed25519VerificationKey2020.SUITE_CONTEXT],
+  ['JsonWebKey2020', JWS_2020_CONTEXT_URL],
+  ['Multikey', MULTIKEY_CONTEXT_URL],
+  ['X25519KeyAgreementKey2020', X25519KeyAgreementKey2020.SUITE_CONTEXT]
+]);
+
+/**
+ * Converts a verification method with a `publicKeyMultibase`
+ * (`Ed25519VerificationKey2020`, `X25519KeyAgreementKey2020`, or an Ed25519
+ * or ECDSA `Multikey`) to one with a `publicKeyJwk`. Its `id`, `controller`
+ * and other properties are kept, and a `@context` is replaced by the one of
+ * the new type.
+ *
+ * Note: the Multikey JSON-LD context does not define `publicKeyJwk`, so
+ * `Multikey` methods with a JWK are meant for JSON (not JSON-LD) consumers.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.method - The verification method.
+ * @param {string} [options.type='JsonWebKey2020'] - The type of the
+ *   converted method, 'JsonWebKey2020' or 'Multikey'.
+ *
+ * @returns {Promise<object>} Resolves with the converted method.
+ */
+export async function methodToJwk({method, type = 'JsonWebKey2020'} = {}) {
+  if(!['JsonWebKey2020', 'Multikey'].includes(type)) {
+    throw new TypeError(`Unsupported JWK verification method type "${type}".`);
+  }
+  const {
+    '@context': context, publicKeyMultibase, publicKeyJwk,
+    ...properties
+  } = _assertMethod(method);
+  const converted = {};
+  if(context !== undefined) {
+    converted['@context'] = CONTEXTS.get(type);
+  }
+  return {
+    ...converted, ...properties, type,
+    publicKeyJwk: publicKeyJwk ?? await _toJwk({publicKeyMultibase})
+  };
+}
+
+/**
+ * Converts a verification method with a `publicKeyJwk` (such as a
+ * `JsonWebKey2020`) back to one with a `publicKeyMultibase`, whose
+ * fingerprint matches the key ids of Veres One DID Documents.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.method - The verification method.
+ * @param {string} [options.type] - The type of the converted method:
+ *   'Ed25519VerificationKey2020' (the default for Ed25519 keys) or
+ *   'Multikey' for Ed25519 keys, 'X25519KeyAgreementKey2020' for X25519
+ *   keys, and 'Multikey' for ECDSA keys.
+ *
+ * @returns {Promise<object>} Resolves with the converted method.
+ */
+export async function methodFromJwk({method, type} = {}) {
+  const {
+    '@context': context, publicKeyMultibase, publicKeyJwk,
+    ...properties
+  } = _assertMethod(method);
+  const jwk = publicKeyJwk ?? await _toJwk({publicKeyMultibase});
+  const types = _multibaseTypes({jwk});
+  type = type ?? types[0];
+  if(!types.includes(type)) {
+    throw new TypeError(
+      `A "${jwk.crv}" key cannot be converted to a "${type}" method.`);
+  }
+  const converted = {};
+  if(context !== undefined) {
+    converted['@context'] = CONTEXTS.get(type);
+  }
+  return {
+    ...converted, ...properties, type,
+    publicKeyMultibase: publicKeyMultibase ?? await _fromJwk({jwk})
+  };
+}
+
+function _assertMethod(method) {
+  if(!(method && typeof method === 'object')) {
+    throw new TypeError('The "method" parameter must be an object.');
+  }
+  if(!(typeof method.publicKeyMultibase === 'string' ||
+    (method.publicKeyJwk && typeof method.publicKeyJwk === 'object'))) {
+    throw new TypeError(
+      'The verification method must have a "publicKeyMultibase" or ' +
+      '"publicKeyJwk".');
+  }
+  return method;
+}
+
+// the verification method types a key can be serialized as, the default
+// one first
+function _multibaseTypes({jwk}) {
+  if(jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+    return ['Ed25519VerificationKey2020', 'Multikey'];
+  }
+  if(jwk.kty === 'OKP' && jwk.crv === 'X25519') {
+    return ['X25519KeyAgreementKey2020'];
+  }
+  if(jwk.kty === 'EC' && ['P-256', 'P-384'].includes(jwk.crv)) {
+    return ['Multikey'];
+  }
+  throw new TypeError(
+    `Unsupported JWK key type "${jwk.kty}" and curve "${jwk.crv}".`);
+}
+
+async function _toJwk({publicKeyMultibase}) {
+  if(publicKeyMultibase.startsWith(ED25519_PREFIX)) {
+    const keyPair = await Ed25519VerificationKey2020.from(
+      {publicKeyMultibase});
+    return keyPair.toJwk({publicKey: true});
+  }
+  if(publicKeyMultibase.startsWith(X25519_PREFIX)) {
+    const bytes = base58btc.decode(publicKeyMultibase.slice(1));
+    return {
+      kty: 'OKP', crv: 'X25519',
+      x: base64url.encode(bytes.slice(MULTICODEC_X25519_PUB_HEADER.length))
+    };
+  }
+  const keyPair = await EcdsaMultikeyLib.from(
+    {type: 'Multikey', publicKeyMultibase});
+  // leave out `key_ops` and `ext`, which are WebCrypto specific
+  const {kty, crv, x, y} = await EcdsaMultikeyLib.toJwk({keyPair});
+  return {kty, crv, x, y};
+}
+
+async function _fromJwk({jwk}) {
+  if(jwk.kty === 'OKP' && jwk.crv === 'Ed25519') {
+    const keyPair = await Ed25519VerificationKey2020.fromJsonWebKey(
+      {type: 'JsonWebKey2020', publicKeyJwk: jwk});
+    return keyPair.publicKeyMultibase;
+  }
+  if(jwk.kty === 'OKP' && jwk.crv === 'X25519') {
+    const publicKey = base64url.decode(jwk.x);
+    if(publicKey.length !== X25519_PUBLIC_KEY_SIZE) {
+      throw new TypeError(
+        `An X25519 public key must be ${X25519_PUBLIC_KEY_SIZE} bytes.`);
+    }
+    const bytes = new Uint8Array(
+      MULTICODEC_X25519_PUB_HEADER.length + publicKey.length);
+    bytes.set(MULTICODEC_X25519_PUB_HEADER);
+    bytes.set(publicKey, MULTICODEC_X25519_PUB_HEADER.length);
+    return `z${base58btc.encode(bytes)}`;
+  }
+  const {kty, crv, x, y} = jwk;
+  const keyPair = await EcdsaMultikeyLib.fromJwk({jwk: {kty, crv, x, y}});
+  return keyPair.publicKeyMultibase;
+}
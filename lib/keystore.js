@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {InvalidKeystoreError} from './errors.js';
+import {webcrypto} from './crypto.js';
+
+const KEYSTORE_TYPE = 'VeresOneKeystore';
+const KEYSTORE_VERSION = 1;
+// PBKDF2-HMAC-SHA256 iterations (the OWASP recommendation, as of 2023), the
+// fewest accepted when exporting, and the most accepted at all, so that a
+// crafted keystore cannot keep the CPU busy for hours
+const DEFAULT_ITERATIONS = 600000;
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Encrypts a (JSON) payload with a key derived from a passphrase
+ * (PBKDF2-HMAC-SHA256, then AES-256-GCM), into a versioned keystore that
+ * can be serialized as JSON.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.payload - The payload to encrypt.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {number} [options.iterations=600000] - PBKDF2 iterations (from
+ *   100000 to 10000000).
+ *
+ * @returns {Promise<object>} Resolves with the keystore.
+ */
+export async function encryptKeystore({
+  payload, passphrase, iterations = DEFAULT_ITERATIONS
+} = {}) {
+  _assertPassphrase({passphrase});
+  if(!(Number.isSafeInteger(iterations) && iterations >= MIN_ITERATIONS &&
+    iterations <= MAX_ITERATIONS)) {
+    throw new TypeError(
+      `The "iterations" parameter must be an integer from ` +
+      `${MIN_ITERATIONS} to ${MAX_ITERATIONS}.`);
+  }
+  const salt = webcrypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = webcrypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await _deriveKey({passphrase, salt, iterations});
+  const ciphertext = await webcrypto.subtle.encrypt(
+    {name: 'AES-GCM', iv, additionalData: _additionalData()}, key,
+    new TextEncoder().encode(JSON.stringify(payload)));
+  return {
+    type: KEYSTORE_TYPE,
+    version: KEYSTORE_VERSION,
+    kdf: {
+      name: 'PBKDF2', hash: 'SHA-256', iterations,
+      salt: base64url.encode(salt)
+    },
+    cipher: {name: 'AES-GCM', iv: base64url.encode(iv)},
+    ciphertext: base64url.encode(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypts a keystore created with `encryptKeystore()`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object|string} options.keystore - The keystore (or its JSON).
+ * @param {string} options.passphrase - The passphrase.
+ *
+ * @throws {InvalidKeystoreError} If the keystore is malformed, of an
+ *   unsupported version, needs too many PBKDF2 iterations, or cannot be
+ *   decrypted.
+ *
+ * @returns {Promise<object>} Resolves with the payload.
+ */
+export async function decryptKeystore({keystore, passphrase} = {}) {
+  _assertPassphrase({passphrase});
+  if(typeof keystore === 'string') {
+    try {
+      keystore = JSON.parse(keystore);
+    } catch(e) {
+      throw new InvalidKeystoreError(
+        'Keystore is not valid JSON.', {error: e});
+    }
+  }
+  const {type, version, kdf, cipher, ciphertext} = keystore || {};
+  if(type !== KEYSTORE_TYPE) {
+    throw new InvalidKeystoreError(
+      `Keystore type must be "${KEYSTORE_TYPE}".`, {type});
+  }
+  if(version !== KEYSTORE_VERSION) {
+    throw new InvalidKeystoreError(
+      `Unsupported keystore version "${version}".`, {version});
+  }
+  if(!(kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+    Number.isSafeInteger(kdf.iterations) && kdf.iterations > 0 &&
+    typeof kdf.salt === 'string' && cipher?.name === 'AES-GCM' &&
+    typeof cipher.iv === 'string' && typeof ciphertext === 'string')) {
+    throw new InvalidKeystoreError('Keystore is malformed.', {version});
+  }
+  if(kdf.iterations > MAX_ITERATIONS) {
+    throw new InvalidKeystoreError(
+      `Keystore needs more than ${MAX_ITERATIONS} PBKDF2 iterations.`,
+      {version, iterations: kdf.iterations});
+  }
+  let plaintext;
+  try {
+    const key = await _deriveKey({
+      passphrase, salt: base64url.decode(kdf.salt),
+      iterations: kdf.iterations
+    });
+    plaintext = await webcrypto.subtle.decrypt({
+      name: 'AES-GCM', iv: base64url.decode(cipher.iv),
+      additionalData: _additionalData()
+    }, key, base64url.decode(ciphertext));
+  } catch(e) {
+    throw new InvalidKeystoreError(
+      'Keystore cannot be decrypted; the passphrase is wrong, or the ' +
+      'keystore has been tampered with.', {version, error: e});
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function _assertPassphrase({passphrase}) {
+  if(!(typeof passphrase === 'string' && passphrase.length > 0)) {
+    throw new TypeError('The "passphrase" parameter must be a string.');
+  }
+}
+
+async function _deriveKey({passphrase, salt, iterations}) {
+  const baseKey = await webcrypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false,
+    ['deriveKey']);
+  return webcrypto.subtle.deriveKey(
+    {name: 'PBKDF2', hash: 'SHA-256', salt, iterations}, baseKey,
+    {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+}
+
+// binds the ciphertext to the keystore type and version
+function _additionalData() {
+  return new TextEncoder().encode(`${KEYSTORE_TYPE}/${KEYSTORE_VERSION}`);
+}
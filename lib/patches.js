@@ -0,0 +1,344 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {
+  applyPatch, compare as jsonPatchCompare
+} from 'fast-json-patch/index.mjs';
+import {InvalidPatchError} from './errors.js';
+import {validateServices} from './services.js';
+import {VERIFICATION_RELATIONSHIPS} from './constants.js';
+
+// properties that may contain (embedded) verification methods
+const METHOD_PROPERTIES = ['verificationMethod', ...VERIFICATION_RELATIONSHIPS];
+// properties whose entries are described one by one by `describePatch()`
+const SET_PROPERTIES = [
+  '@context', 'alsoKnownAs', 'controller', 'service', ...METHOD_PROPERTIES
+];
+const VERBS = {add: 'adds', remove: 'removes', update: 'changes'};
+const PREPOSITIONS = {add: 'to', remove: 'from', update: 'in'};
+
+// top-level DID Document properties that an update may change; `id` and any
+// other property are immutable. Existing `@context` entries are immutable as
+// well (see `_invariantViolations()`), but new ones may be appended.
+export const MUTABLE_PROPERTIES = [
+  '@context',
+  'alsoKnownAs',
+  'controller',
+  'service',
+  'verificationMethod',
+  ...VERIFICATION_RELATIONSHIPS
+];
+
+/**
+ * Validates a JSON Patch against the DID Document it is to be applied to:
+ * every operation must only touch mutable properties, and the patched DID
+ * Document must keep its `id` and `@context` entries, keep at least one
+ * capabilityInvocation method (unless it has an external controller), only
+ * reference verification methods it defines, and have valid services.
+ *
+ * Used by clients before sending an update, and by ledger validators before
+ * accepting one.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The DID Document before the patch.
+ * @param {Array<object>} options.patch - The JSON Patch operations.
+ * @param {Array<string>} [options.mutableProperties=MUTABLE_PROPERTIES] -
+ *   Top-level properties that the patch may change.
+ *
+ * @returns {{valid: boolean, error: Error}} The validation result; the error
+ *   is an `InvalidPatchError` whose details include the `index` and
+ *   `operation` of the patch operation responsible.
+ */
+export function validatePatch({
+  didDocument, patch, mutableProperties = MUTABLE_PROPERTIES
+}) {
+  const {id: did} = didDocument;
+  if(!Array.isArray(patch)) {
+    return {
+      valid: false,
+      error: new InvalidPatchError('Patch must be an array.', {did})
+    };
+  }
+  for(const [index, operation] of patch.entries()) {
+    const property = _immutableProperty({operation, mutableProperties});
+    if(property !== undefined) {
+      return _invalid({
+        did, patch, index, property,
+        reason: `changes "${property}", which is immutable`
+      });
+    }
+  }
+  let patched;
+  try {
+    ({newDocument: patched} = applyPatch(
+      structuredClone(didDocument), patch, true));
+  } catch(e) {
+    const index = Number.isInteger(e.index) ? e.index : patch.length - 1;
+    return _invalid({
+      did, patch, index,
+      reason: `cannot be applied: ${e.message.split('\n')[0]}`,
+      cause: e
+    });
+  }
+  // violations the DID Document already had are not the patch's doing
+  const existing = _invariantViolations({didDocument, patched: didDocument})
+    .map(({reason}) => reason);
+  const violation = _invariantViolations({didDocument, patched})
+    .find(({reason}) => !existing.includes(reason));
+  if(violation) {
+    return _invalid({
+      did, patch, ...violation,
+      index: _lastIndexOf({patch, property: violation.property})
+    });
+  }
+  return {valid: true};
+}
+
+/**
+ * Describes what a JSON Patch changes in a DID Document, in terms of
+ * verification methods, verification relationships, services and values,
+ * rather than JSON paths. Each change record has an `action` ('add',
+ * 'remove' or 'update'), the top-level `property` it applies to, the `id`
+ * (for methods and services) or `value` it concerns, and a human-readable
+ * `description`, such as 'adds key #z6MkhaXgBZ to assertionMethod' or
+ * 'removes service #hub'.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The DID Document before the patch.
+ * @param {Array<object>} options.patch - The JSON Patch operations.
+ *
+ * @returns {Array<object>} The change records, grouped by property in the
+ *   order the patch first touches them.
+ */
+export function describePatch({didDocument, patch}) {
+  const {newDocument: patched} = applyPatch(
+    structuredClone(didDocument), patch, true);
+  const properties = [];
+  for(const {path, from} of patch) {
+    for(const property of [path, from].map(_topLevelProperty)) {
+      if(property !== undefined && !properties.includes(property)) {
+        properties.push(property);
+      }
+    }
+  }
+  const did = didDocument.id;
+  return properties.flatMap(property => _describeProperty({
+    did, property,
+    before: didDocument[property],
+    after: patched[property]
+  }));
+}
+
+/**
+ * Returns the inverse of a JSON Patch: the patch that turns the patched DID
+ * Document back into the given one. It can be sent as an update changeset to
+ * revert an update.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The DID Document before the patch.
+ * @param {Array<object>} options.patch - The JSON Patch operations.
+ *
+ * @returns {Array<object>} The inverse JSON Patch operations.
+ */
+export function invertPatch({didDocument, patch}) {
+  const {newDocument: patched} = applyPatch(
+    structuredClone(didDocument), patch, true);
+  return jsonPatchCompare(patched, didDocument);
+}
+
+function _invalid({did, patch, index, property, reason, cause}) {
+  const operation = patch[index];
+  const description = operation ?
+    `Patch operation ${index} ("${operation.op}" "${operation.path}")` :
+    'Patch';
+  const error = new InvalidPatchError(
+    `${description} ${reason}.`, {did, index, operation, property});
+  if(cause) {
+    error.cause = cause;
+  }
+  return {valid: false, error};
+}
+
+// returns the immutable top-level property an operation changes, if any
+function _immutableProperty({operation, mutableProperties}) {
+  if(!operation || typeof operation !== 'object') {
+    return;
+  }
+  const {op, path, from} = operation;
+  if(op === 'test') {
+    return;
+  }
+  const paths = op === 'move' || op === 'copy' ? [path, from] : [path];
+  for(const p of paths) {
+    const property = _topLevelProperty(p);
+    if(!mutableProperties.includes(property)) {
+      return property ?? p;
+    }
+  }
+}
+
+function _topLevelProperty(path) {
+  if(typeof path !== 'string' || !path.startsWith('/')) {
+    return;
+  }
+  return path.slice(1).split('/')[0].replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// returns the index of the last operation that touches a property (the one
+// held responsible for a violation), or the last operation
+function _lastIndexOf({patch, property}) {
+  for(let index = patch.length - 1; index >= 0; --index) {
+    const {path, from} = patch[index];
+    if([path, from].some(p => _topLevelProperty(p) === property)) {
+      return index;
+    }
+  }
+  return patch.length - 1;
+}
+
+function _invariantViolations({didDocument, patched}) {
+  const {id: did} = didDocument;
+  const violations = [];
+  if(patched.id !== did) {
+    violations.push({property: 'id', reason: 'changes "id"'});
+  }
+  const contexts = _entries(didDocument['@context']);
+  const patchedContexts = _entries(patched['@context']);
+  if(!contexts.every((context, i) => _equal(context, patchedContexts[i]))) {
+    violations.push({
+      property: '@context',
+      reason: 'changes or removes existing "@context" entries; new ones ' +
+        'may only be appended'
+    });
+  }
+  if(_entries(patched.capabilityInvocation).length === 0 &&
+    !_entries(patched.controller).some(controller => controller !== did)) {
+    violations.push({
+      property: 'capabilityInvocation',
+      reason: 'removes the last capabilityInvocation method, which would ' +
+        'leave the DID Document without a way to update it'
+    });
+  }
+  const defined = new Set();
+  for(const property of METHOD_PROPERTIES) {
+    for(const entry of _entries(patched[property])) {
+      if(!(entry && typeof entry === 'object')) {
+        continue;
+      }
+      if(defined.has(entry.id)) {
+        violations.push({
+          property,
+          reason: `defines verification method "${entry.id}" twice`
+        });
+      }
+      defined.add(entry.id);
+    }
+  }
+  for(const property of VERIFICATION_RELATIONSHIPS) {
+    for(const entry of _entries(patched[property])) {
+      if(typeof entry === 'string' && entry.startsWith(`${did}#`) &&
+        !defined.has(entry)) {
+        violations.push({
+          property,
+          reason: `references verification method "${entry}" in ` +
+            `"${property}", which is not defined`
+        });
+      }
+    }
+  }
+  const {valid, error} = validateServices({didDocument: patched});
+  if(!valid) {
+    violations.push({
+      property: 'service',
+      reason: `leaves invalid services: ${error.message}`
+    });
+  }
+  return violations;
+}
+
+function _describeProperty({did, property, before, after}) {
+  if(_equal(before, after)) {
+    return [];
+  }
+  if(!SET_PROPERTIES.includes(property)) {
+    const action = before === undefined ? 'add' :
+      after === undefined ? 'remove' : 'update';
+    return [{action, property, description: `${VERBS[action]} "${property}"`}];
+  }
+  const records = [];
+  const beforeEntries = _entries(before);
+  const afterEntries = _entries(after);
+  const beforeKeys = beforeEntries.map(_entryKey);
+  const afterKeys = afterEntries.map(_entryKey);
+  for(const [i, entry] of beforeEntries.entries()) {
+    if(!afterKeys.includes(beforeKeys[i])) {
+      records.push(_entryRecord({did, property, action: 'remove', entry}));
+    }
+  }
+  for(const [i, entry] of afterEntries.entries()) {
+    const index = beforeKeys.indexOf(afterKeys[i]);
+    if(index === -1) {
+      records.push(_entryRecord({did, property, action: 'add', entry}));
+    } else if(!_equal(beforeEntries[index], entry)) {
+      records.push(_entryRecord({did, property, action: 'update', entry}));
+    }
+  }
+  if(records.length === 0) {
+    // the same entries, in a different order
+    records.push({
+      action: 'update', property, description: `reorders "${property}"`
+    });
+  }
+  return records;
+}
+
+function _entryRecord({did, property, action, entry}) {
+  const verb = VERBS[action];
+  const preposition = PREPOSITIONS[action];
+  const id = typeof entry === 'string' ? entry : entry?.id;
+  if(!(typeof id === 'string' && METHOD_PROPERTIES.includes(property) ||
+    typeof entry?.id === 'string' && property === 'service')) {
+    return {
+      action, property, value: entry,
+      description: `${verb} ${JSON.stringify(entry)} ${preposition} ` +
+        property
+    };
+  }
+  const name = id.startsWith(`${did}#`) ? id.slice(did.length) : id;
+  const type = typeof entry === 'object' ?
+    [].concat(entry.type ?? []).join(', ') : '';
+  const suffix = action === 'remove' || !type ? '' : ` (${type})`;
+  let description;
+  if(property === 'service') {
+    description = `${verb} service ${name}${suffix}`;
+  } else if(property === 'verificationMethod') {
+    description = `${verb} verification method ${name}${suffix}`;
+  } else {
+    // a verification relationship, referencing or embedding the method
+    description = `${verb} key ${name} ${preposition} ${property}`;
+  }
+  return {action, property, id, description};
+}
+
+// identifies an entry of a set-like property: methods and services by id,
+// references and other values by value
+function _entryKey(entry) {
+  if(typeof entry === 'string') {
+    return entry;
+  }
+  if(entry && typeof entry === 'object' && typeof entry.id === 'string') {
+    return entry.id;
+  }
+  return JSON.stringify(entry);
+}
+
+function _entries(value) {
+  if(value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function _equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,114 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {VeresOneClientError} from './VeresOneClientError.js';
+
+export const DEFAULT_RETRY = {
+  retries: 2,
+  minDelay: 250,
+  maxDelay: 5000,
+  factor: 2
+};
+
+/**
+ * Calls a function, retrying with exponential backoff (with full jitter)
+ * while it fails with a retryable error.
+ *
+ * @param {Function} fn - The (async) function to call.
+ * @param {object} [options={}] - Options hashmap.
+ * @param {number} [options.retries=2] - Max number of retries (0 disables
+ *   retrying).
+ * @param {number} [options.minDelay=250] - Base delay (in ms) before the
+ *   first retry.
+ * @param {number} [options.maxDelay=5000] - Max delay (in ms) between
+ *   retries.
+ * @param {number} [options.factor=2] - Backoff factor.
+ * @param {Function} [options.shouldRetry] - Called with an error, returns
+ *   true if the call should be retried.
+ * @param {AbortSignal} [options.signal] - Cancels any further retries.
+ *
+ * @returns {Promise<object>} Resolves with the result of `fn`.
+ */
+export async function withRetry(fn, {
+  retries = DEFAULT_RETRY.retries, minDelay = DEFAULT_RETRY.minDelay,
+  maxDelay = DEFAULT_RETRY.maxDelay, factor = DEFAULT_RETRY.factor,
+  shouldRetry = () => true, signal
+} = {}) {
+  for(let attempt = 0; ; ++attempt) {
+    signal?.throwIfAborted();
+    try {
+      return await fn();
+    } catch(e) {
+      if(attempt >= retries || signal?.aborted || !shouldRetry(e)) {
+        throw e;
+      }
+    }
+    const ceiling = Math.min(maxDelay, minDelay * (factor ** attempt));
+    await sleep({ms: Math.random() * ceiling, signal});
+  }
+}
+
+/**
+ * Calls a function with an `AbortSignal` that is aborted after a timeout or
+ * when the given `signal` is aborted. The returned promise rejects at that
+ * point, even if `fn` does not support cancellation.
+ *
+ * @param {Function} fn - The (async) function to call, with an
+ *   `AbortSignal`.
+ * @param {object} [options={}] - Options hashmap.
+ * @param {number} [options.timeout] - Timeout in ms (no timeout if not set).
+ * @param {AbortSignal} [options.signal] - Caller's cancellation signal.
+ *
+ * @returns {Promise<object>} Resolves with the result of `fn`.
+ */
+export async function withTimeout(fn, {timeout, signal} = {}) {
+  signal?.throwIfAborted();
+  const controller = new AbortController();
+  let timeoutId;
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => {
+      controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, {once: true});
+    if(timeout > 0 && Number.isFinite(timeout)) {
+      timeoutId = setTimeout(() => {
+        const error = new VeresOneClientError(
+          `Request timed out after ${timeout} ms.`, 'TimeoutError',
+          {timeout}, 'timeout');
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    }
+  });
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Waits for a given time.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {number} options.ms - Time to wait (in ms).
+ * @param {AbortSignal} [options.signal] - Cancels the wait.
+ *
+ * @returns {Promise} Resolves after `ms`, or rejects when cancelled.
+ */
+export async function sleep({ms, signal}) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, {once: true});
+  });
+}
@@ -0,0 +1,133 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {InvalidDidDocumentError} from './errors.js';
+
+// characters allowed in a URI fragment (RFC 3986), excluding '#'
+const FRAGMENT_REGEX = /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9A-Fa-f]{2})+$/;
+
+/**
+ * Returns the absolute id of a service (`<did>#<fragment>`), given either
+ * an absolute id or a relative one (`#<fragment>`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID of the DID Document.
+ * @param {string} options.id - The service id.
+ *
+ * @returns {string} The absolute service id.
+ */
+export function serviceId({did, id}) {
+  if(typeof id === 'string' && id.startsWith('#')) {
+    return `${did}${id}`;
+  }
+  return id;
+}
+
+/**
+ * Validates a service entry: its `id` must be a fragment under the DID, its
+ * `type` a string (or array of strings), and its `serviceEndpoint` a URI, a
+ * map, or an array of URIs and maps.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.service - The service entry.
+ * @param {string} options.did - The DID of the DID Document.
+ *
+ * @returns {{valid: boolean, error: Error}} The validation result.
+ */
+export function validateService({service, did}) {
+  const error = _serviceError({service, did});
+  if(error) {
+    return {
+      valid: false,
+      error: new InvalidDidDocumentError(error, {did, service})
+    };
+  }
+  return {valid: true};
+}
+
+/**
+ * Validates the `service` entries of a DID Document, including that their
+ * ids are unique (also among verification method ids).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The DID Document.
+ *
+ * @returns {{valid: boolean, error: Error}} The validation result.
+ */
+export function validateServices({didDocument}) {
+  const {id: did, service: services = []} = didDocument;
+  if(!Array.isArray(services)) {
+    return {
+      valid: false,
+      error: new InvalidDidDocumentError(
+        '"service" must be an array.', {did})
+    };
+  }
+  const ids = new Set(_methodIds({didDocument}));
+  for(const service of services) {
+    const result = validateService({service, did});
+    if(!result.valid) {
+      return result;
+    }
+    const id = serviceId({did, id: service.id});
+    if(ids.has(id)) {
+      return {
+        valid: false,
+        error: new InvalidDidDocumentError(
+          `Duplicate id "${id}".`, {did, service})
+      };
+    }
+    ids.add(id);
+  }
+  return {valid: true};
+}
+
+function _serviceError({service, did}) {
+  if(!(service && typeof service === 'object' && !Array.isArray(service))) {
+    return 'Service must be an object.';
+  }
+  const {id, type, serviceEndpoint} = service;
+  if(typeof id !== 'string') {
+    return 'Service "id" must be a string.';
+  }
+  const absoluteId = serviceId({did, id});
+  const fragment = absoluteId.slice(did.length + 1);
+  if(!(absoluteId.startsWith(`${did}#`) && FRAGMENT_REGEX.test(fragment))) {
+    return `Service id "${id}" must be a fragment of "${did}".`;
+  }
+  const types = Array.isArray(type) ? type : [type];
+  if(!(types.length > 0 &&
+    types.every(t => typeof t === 'string' && t.length > 0))) {
+    return `Service "${id}" must have a "type".`;
+  }
+  const endpoints = Array.isArray(serviceEndpoint) ?
+    serviceEndpoint : [serviceEndpoint];
+  if(!(endpoints.length > 0 && endpoints.every(_isValidEndpoint))) {
+    return `Service "${id}" has an invalid "serviceEndpoint"; it must be ` +
+      'a URI, a map, or an array of URIs and maps.';
+  }
+}
+
+function _isValidEndpoint(endpoint) {
+  if(typeof endpoint === 'string') {
+    try {
+      new URL(endpoint);
+      return true;
+    } catch(e) {
+      return false;
+    }
+  }
+  return !!endpoint && typeof endpoint === 'object' &&
+    !Array.isArray(endpoint) && Object.keys(endpoint).length > 0;
+}
+
+function _methodIds({didDocument}) {
+  const ids = [];
+  for(const [property, entries] of Object.entries(didDocument)) {
+    if(property !== 'service' && Array.isArray(entries)) {
+      ids.push(...entries.filter(e => e && typeof e === 'object' && e.id)
+        .map(({id}) => id));
+    }
+  }
+  return ids;
+}
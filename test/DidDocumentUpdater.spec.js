@@ -0,0 +1,351 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+
+const {expect} = chai;
+
+import {
+  constants, describePatch, VeresOneDidDoc, VeresOneDriver
+} from '../lib/index.js';
+import {applyPatch} from 'fast-json-patch/index.mjs';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+
+describe('DidDocumentUpdater', () => {
+  const driver = new VeresOneDriver({mode: 'test'});
+  let didDocument;
+  let keyAgreementId;
+  let updater;
+
+  beforeEach(async () => {
+    ({didDocument} = await driver.generate());
+    [{id: keyAgreementId}] = didDocument.keyAgreement;
+    updater = new VeresOneDidDoc({didDocument: structuredClone(didDocument)});
+  });
+
+  describe('addVerificationMethod', () => {
+    it('should add a method and reference it', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      const method = updater.addVerificationMethod(
+        {keyPair, purposes: ['authentication', 'assertionMethod']});
+      const id = `${didDocument.id}#${keyPair.fingerprint()}`;
+      expect(method.id).to.equal(id);
+      expect(method.controller).to.equal(didDocument.id);
+      expect(method).to.not.have.property('privateKeyMultibase');
+
+      const doc = updater.didDocument;
+      expect(doc.verificationMethod).to.have.length(2);
+      expect(doc.verificationMethod[1]).to.eql(method);
+      expect(doc.authentication).to.include(id);
+      expect(doc.assertionMethod).to.include(id);
+      _assertNoDanglingReferences(doc);
+
+      const {patch} = updater.commit();
+      expect(patch.map(({op, path}) => ({op, path}))).to.have.deep.members([
+        {op: 'add', path: '/verificationMethod/1'},
+        {op: 'add', path: '/assertionMethod/1'},
+        {op: 'add', path: '/authentication/1'}
+      ]);
+    });
+
+    it('should reject duplicates and unknown relationships', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      updater.addVerificationMethod({keyPair});
+      expect(() => updater.addVerificationMethod({keyPair}))
+        .to.throw(/already exists/);
+
+      const other = await Ed25519VerificationKey2020.generate();
+      expect(() => updater.addVerificationMethod(
+        {keyPair: other, purposes: ['signing']})).to.throw(TypeError);
+      expect(updater.didDocument.verificationMethod).to.have.length(2);
+    });
+  });
+
+  describe('addRelationship', () => {
+    it('should move an embedded method to "verificationMethod"', () => {
+      updater.addRelationship(keyAgreementId, 'capabilityDelegation');
+      const doc = updater.didDocument;
+      expect(doc.keyAgreement).to.eql([keyAgreementId]);
+      expect(doc.capabilityDelegation).to.include(keyAgreementId);
+      expect(doc.verificationMethod.map(({id}) => id))
+        .to.include(keyAgreementId);
+      _assertNoDanglingReferences(doc);
+    });
+
+    it('should not add a reference twice', () => {
+      const [id] = didDocument.authentication;
+      updater.addRelationship(id, 'authentication');
+      expect(updater.didDocument.authentication).to.eql([id]);
+    });
+
+    it('should throw for an unknown method', () => {
+      expect(() => updater.addRelationship(
+        `${didDocument.id}#unknown`, 'authentication')).to.throw(/not found/);
+    });
+  });
+
+  describe('removeRelationship', () => {
+    it('should remove a reference', () => {
+      const [id] = didDocument.authentication;
+      updater.removeRelationship(id, 'authentication');
+      const doc = updater.didDocument;
+      expect(doc).to.not.have.property('authentication');
+      // still used by other relationships
+      expect(doc.verificationMethod.map(({id}) => id)).to.include(id);
+    });
+
+    it('should remove a method only embedded in the relationship', () => {
+      updater.removeRelationship(keyAgreementId, 'keyAgreement');
+      expect(updater.didDocument).to.not.have.property('keyAgreement');
+      expect(JSON.stringify(updater.didDocument))
+        .to.not.include(keyAgreementId);
+    });
+
+    it('should keep an embedded method that is still referenced', () => {
+      updater.addRelationship(keyAgreementId, 'capabilityDelegation');
+      updater.removeRelationship(keyAgreementId, 'keyAgreement');
+      const doc = updater.didDocument;
+      expect(doc.verificationMethod.map(({id}) => id))
+        .to.include(keyAgreementId);
+      _assertNoDanglingReferences(doc);
+    });
+
+    it('should throw if the method is not in the relationship', () => {
+      expect(() => updater.removeRelationship(keyAgreementId, 'authentication'))
+        .to.throw(/is not in "authentication"/);
+    });
+  });
+
+  describe('removeVerificationMethod', () => {
+    it('should remove a method and all references to it', () => {
+      const [{id}] = didDocument.verificationMethod;
+      updater.removeVerificationMethod(id);
+      const doc = updater.didDocument;
+      for(const property of [
+        'verificationMethod', ...constants.VERIFICATION_RELATIONSHIPS
+      ]) {
+        for(const entry of doc[property] || []) {
+          expect(entry.id || entry).to.not.equal(id);
+        }
+      }
+      expect(doc).to.not.have.property('verificationMethod');
+      expect(doc).to.not.have.property('capabilityInvocation');
+      _assertNoDanglingReferences(doc);
+    });
+
+    it('should remove an embedded method', () => {
+      updater.removeVerificationMethod(keyAgreementId);
+      expect(updater.didDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should throw for an unknown method', () => {
+      expect(() => updater.removeVerificationMethod(`${didDocument.id}#nope`))
+        .to.throw(/not found/);
+    });
+  });
+
+  describe('services', () => {
+    const service = {
+      id: '#hub', type: 'Hub', serviceEndpoint: 'https://hub.example.com'
+    };
+
+    it('should add, update and remove a service', () => {
+      const added = updater.addService(service);
+      expect(added.id).to.equal(`${didDocument.id}#hub`);
+      expect(updater.didDocument.service).to.eql([added]);
+
+      const updated = updater.updateService(
+        '#hub', {serviceEndpoint: {origins: ['https://example.com']}});
+      expect(updated).to.eql({
+        ...added, serviceEndpoint: {origins: ['https://example.com']}
+      });
+
+      updater.removeService(added.id);
+      expect(updater.didDocument).to.not.have.property('service');
+      expect(updater.commit().patch).to.eql([]);
+    });
+
+    it('should reject duplicate ids', () => {
+      updater.addService(service);
+      let error;
+      try {
+        updater.addService({...service, id: `${didDocument.id}#hub`});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.code).to.equal('invalidDidDocument');
+      error.message.should.match(/Duplicate id/);
+      expect(() => updater.addService({...service, id: keyAgreementId}))
+        .to.throw(/Duplicate id/);
+      expect(updater.didDocument.service).to.have.length(1);
+    });
+
+    it('should reject invalid services without changing the doc', () => {
+      for(const invalid of [
+        {...service, id: 'did:v1:test:nym:z6MkOther#hub'},
+        {...service, id: '#'},
+        {...service, type: undefined},
+        {...service, serviceEndpoint: 'not a uri'},
+        {...service, serviceEndpoint: []},
+        {...service, serviceEndpoint: [42]}
+      ]) {
+        expect(() => updater.addService(invalid)).to.throw(/Service/);
+      }
+      updater.addService(service);
+      expect(() => updater.updateService('#hub', {serviceEndpoint: 42}))
+        .to.throw(/serviceEndpoint/);
+      expect(updater.didDocument.service[0]).to.eql(
+        {...service, id: `${didDocument.id}#hub`});
+      expect(() => updater.removeService('#nope')).to.throw(/not found/);
+    });
+  });
+
+  describe('describeChanges', () => {
+    it('should describe method, relationship and service changes', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      updater.addVerificationMethod({keyPair, purposes: ['assertionMethod']});
+      updater.addService(
+        {id: '#hub', type: 'Hub', serviceEndpoint: 'https://hub.example'});
+      const fragment = `#${keyPair.fingerprint()}`;
+      expect(updater.describeChanges().map(c => c.description)).to.eql([
+        `adds key ${fragment} to assertionMethod`,
+        `adds verification method ${fragment} (Ed25519VerificationKey2020)`,
+        'adds service #hub (Hub)'
+      ]);
+
+      const {patch} = updater.commit();
+      updater.observe();
+      updater.removeService('#hub');
+      updater.didDocument.alsoKnownAs = ['https://example.com'];
+      expect(updater.describeChanges()).to.eql([
+        {
+          action: 'remove', property: 'service', id: `${didDocument.id}#hub`,
+          description: 'removes service #hub'
+        }, {
+          action: 'add', property: 'alsoKnownAs', value: 'https://example.com',
+          description: 'adds "https://example.com" to alsoKnownAs'
+        }
+      ]);
+      expect(describePatch({didDocument, patch})).to.have.length(3);
+    });
+
+    it('should describe changed and reordered entries', () => {
+      const [method] = updater.didDocument.verificationMethod;
+      updater.didDocument.verificationMethod = [
+        {...method, publicKeyMultibase: 'z6MkOther'}
+      ];
+      updater.didDocument.keyAgreement = [];
+      updater.didDocument.capabilityInvocation = [
+        ...updater.didDocument.capabilityInvocation
+      ].reverse();
+      updater.didDocument.custom = true;
+      const changes = updater.describeChanges();
+      expect(changes.map(c => c.action)).to.include.members(
+        ['update', 'remove', 'add']);
+      expect(changes.find(c => c.property === 'verificationMethod'))
+        .to.have.property('description').that.matches(/^changes verif/);
+      expect(changes.find(c => c.property === 'keyAgreement').description)
+        .to.match(/^removes key #z6LS\w+ from keyAgreement$/);
+      expect(changes.find(c => c.property === 'custom').description)
+        .to.equal('adds "custom"');
+    });
+  });
+
+  describe('inversePatch', () => {
+    it('should revert the changes', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      updater.addVerificationMethod(
+        {keyPair, purposes: ['capabilityInvocation']});
+      updater.removeVerificationMethod(didDocument.capabilityInvocation[0]);
+      updater.addService(
+        {id: '#hub', type: 'Hub', serviceEndpoint: 'https://hub.example'});
+      const inverse = updater.inversePatch();
+      const {patch} = updater.commit();
+
+      const updated = applyPatch(
+        structuredClone(didDocument), patch).newDocument;
+      expect(updated).to.eql(updater.didDocument);
+      expect(applyPatch(updated, inverse).newDocument).to.eql(didDocument);
+      expect(() => updater.inversePatch()).to.throw(/Not observing/);
+    });
+  });
+
+  describe('commit', () => {
+    it('should reject changes to "id" and keep observing', () => {
+      updater.didDocument.id = 'did:v1:test:nym:z6MkOther';
+      let error;
+      try {
+        updater.commit();
+      } catch(e) {
+        error = e;
+      }
+      expect(error.name).to.equal('InvalidPatchError');
+      expect(error.code).to.equal('invalidPatch');
+      error.message.should.match(/^Patch operation 0 \("replace" "\/id"\)/);
+      expect(error.details.operation).to.eql(
+        {op: 'replace', path: '/id', value: 'did:v1:test:nym:z6MkOther'});
+
+      updater.didDocument.id = didDocument.id;
+      updater.didDocument.alsoKnownAs = ['https://example.com'];
+      const {patch, sequence} = updater.commit();
+      expect(patch).to.eql([
+        {op: 'add', path: '/alsoKnownAs', value: ['https://example.com']}
+      ]);
+      expect(sequence).to.equal(0);
+    });
+
+    it('should reject removing the last capabilityInvocation method', () => {
+      const [id] = didDocument.capabilityInvocation;
+      updater.removeVerificationMethod(id);
+      let error;
+      try {
+        updater.commit();
+      } catch(e) {
+        error = e;
+      }
+      expect(error.code).to.equal('invalidPatch');
+      expect(error.details.property).to.equal('capabilityInvocation');
+      error.message.should.match(/last capabilityInvocation method/);
+    });
+
+    it('should only allow appending to "@context"', () => {
+      const context = 'https://example.com/context/v1';
+      updater.didDocument['@context'].push(context);
+      expect(updater.commit().patch).to.eql([
+        {
+          op: 'add', path: `/@context/${didDocument['@context'].length}`,
+          value: context
+        }
+      ]);
+
+      updater.observe();
+      updater.didDocument['@context'].shift();
+      expect(() => updater.commit()).to.throw(/existing "@context" entries/);
+    });
+  });
+});
+
+function _assertNoDanglingReferences(didDocument) {
+  const defined = new Set();
+  for(const property of [
+    'verificationMethod', ...constants.VERIFICATION_RELATIONSHIPS
+  ]) {
+    for(const entry of didDocument[property] || []) {
+      if(typeof entry === 'object') {
+        expect(defined.has(entry.id), `"${entry.id}" defined twice`)
+          .to.be.false;
+        defined.add(entry.id);
+      }
+    }
+  }
+  for(const property of constants.VERIFICATION_RELATIONSHIPS) {
+    for(const entry of didDocument[property] || []) {
+      if(typeof entry === 'string') {
+        expect(defined.has(entry), `"${entry}" is not defined`).to.be.true;
+      }
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2026 Veres One Project. All rights reserved.
+ */
+import {LruStore, ResolutionCache} from '../lib/index.js';
+import chai from 'chai';
+chai.should();
+
+const {expect} = chai;
+
+const TEST_DID = 'did:v1:test:uuid:ad33d59b630f44d49bdfb8266d4a243e';
+
+describe('LruStore', () => {
+  it('should evict the least recently used entry', async () => {
+    const store = new LruStore({maxSize: 2});
+    await store.set('a', 1);
+    await store.set('b', 2);
+    // touch 'a', making 'b' the least recently used entry
+    expect(await store.get('a')).to.equal(1);
+    await store.set('c', 3);
+    expect(store.size).to.equal(2);
+    expect(await store.get('a')).to.equal(1);
+    expect(await store.get('b')).to.equal(undefined);
+    expect(await store.get('c')).to.equal(3);
+  });
+
+  it('should expire entries after their ttl', async () => {
+    const store = new LruStore();
+    await store.set('a', 1, {ttl: 10});
+    await store.set('b', 2);
+    expect(await store.get('a')).to.equal(1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await store.get('a')).to.equal(undefined);
+    expect(await store.get('b')).to.equal(2);
+  });
+
+  it('should throw on an invalid "maxSize"', async () => {
+    expect(() => new LruStore({maxSize: 0})).to.throw(TypeError);
+  });
+});
+
+describe('ResolutionCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResolutionCache();
+  });
+
+  it('should return copies of cached DID Documents', async () => {
+    const result = {didDocument: {id: TEST_DID}, meta: {}, source: 'ledger'};
+    await cache.setDocument({did: TEST_DID, result});
+    result.didDocument.service = [];
+
+    const cached = await cache.getDocument({did: TEST_DID});
+    expect(cached).to.eql({
+      didDocument: {id: TEST_DID}, meta: {}, source: 'ledger'
+    });
+    cached.didDocument.id = 'changed';
+    expect((await cache.getDocument({did: TEST_DID})).didDocument.id)
+      .to.equal(TEST_DID);
+  });
+
+  it('should cache specific versions separately', async () => {
+    await cache.setDocument({
+      did: TEST_DID, result: {didDocument: {id: TEST_DID}, meta: {sequence: 2}}
+    });
+    await cache.setDocument({
+      did: TEST_DID, versionId: '1',
+      result: {didDocument: {id: TEST_DID}, meta: {sequence: 1}}
+    });
+    expect((await cache.getDocument({did: TEST_DID})).meta.sequence)
+      .to.equal(2);
+    expect((await cache.getDocument({did: TEST_DID, versionId: 1})).meta
+      .sequence).to.equal(1);
+    expect(await cache.getDocument({did: TEST_DID, versionId: 0}))
+      .to.equal(undefined);
+  });
+
+  it('should cache "not found" results for "negativeTtl"', async () => {
+    cache = new ResolutionCache({negativeTtl: 10});
+    await cache.setNotFound({did: TEST_DID});
+    expect(await cache.getDocument({did: TEST_DID})).to.eql({notFound: true});
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await cache.getDocument({did: TEST_DID})).to.equal(undefined);
+  });
+
+  it('should not cache "not found" results if disabled', async () => {
+    cache = new ResolutionCache({negativeTtl: 0});
+    await cache.setNotFound({did: TEST_DID});
+    expect(await cache.getDocument({did: TEST_DID})).to.equal(undefined);
+  });
+
+  it('should invalidate the DID Document and keys of a DID', async () => {
+    const otherDid = 'did:v1:test:uuid:0b0f15b1c9e644d5a8f4e2b7b6b8e1f0';
+    await cache.setDocument({did: TEST_DID, result: {didDocument: {}}});
+    await cache.setKey({methodId: `${TEST_DID}#key-1`, key: {id: 'key-1'}});
+    await cache.setKey({methodId: `${TEST_DID}#key-2`, key: {id: 'key-2'}});
+    await cache.setDocument({did: otherDid, result: {didDocument: {}}});
+
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-1`}))
+      .to.eql({id: 'key-1'});
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-2`}))
+      .to.eql({id: 'key-2'});
+
+    await cache.invalidate({did: TEST_DID});
+    expect(await cache.getDocument({did: TEST_DID})).to.equal(undefined);
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-1`}))
+      .to.equal(undefined);
+    expect(await cache.getDocument({did: otherDid})).to.exist;
+  });
+
+  it('should expire each key after "ttl"', async () => {
+    cache = new ResolutionCache({ttl: 100});
+    await cache.setKey({methodId: `${TEST_DID}#key-1`, key: {id: 'key-1'}});
+    await new Promise(resolve => setTimeout(resolve, 60));
+    // caching another key of the DID does not renew the first one
+    await cache.setKey({methodId: `${TEST_DID}#key-2`, key: {id: 'key-2'}});
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-1`}))
+      .to.equal(undefined);
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-2`}))
+      .to.eql({id: 'key-2'});
+    // the expired key is pruned from the store
+    const keys = await cache.store.get(`keys:${TEST_DID}`);
+    expect(Object.keys(keys)).to.eql([`${TEST_DID}#key-2`]);
+
+    // and the entry expires with the last key
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(await cache.getKey({methodId: `${TEST_DID}#key-2`}))
+      .to.equal(undefined);
+    expect(cache.store.size).to.equal(0);
+  });
+
+  it('should use a custom store', async () => {
+    const entries = new Map();
+    const store = {
+      async get(key) {
+        return entries.get(key);
+      },
+      async set(key, value, {ttl}) {
+        expect(ttl).to.equal(1000);
+        entries.set(key, value);
+      },
+      async delete(key) {
+        entries.delete(key);
+      },
+      async clear() {
+        entries.clear();
+      }
+    };
+    cache = new ResolutionCache({store, ttl: 1000});
+    await cache.setDocument({did: TEST_DID, result: {didDocument: {}}});
+    expect([...entries.keys()]).to.eql([`document:${TEST_DID}`]);
+    await cache.clear();
+    expect(entries.size).to.equal(0);
+  });
+});
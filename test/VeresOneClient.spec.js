@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2022 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 import chai from 'chai';
 import nock from 'nock';
@@ -7,10 +7,14 @@ chai.should();
 
 const {expect} = chai;
 
+import http from 'node:http';
 import tls from 'node:tls';
 tls.DEFAULT_ECDH_CURVE = 'auto';
 
-import {VeresOneClient} from '../lib/index.js';
+import {
+  LedgerUnavailableError, OperationRejectedError, TicketServiceError,
+  VeresOneClient
+} from '../lib/index.js';
 
 import {createRequire} from 'node:module';
 const requireJson = createRequire(import.meta.url);
@@ -116,6 +120,582 @@ describe.skip('web ledger client', () => {
   });
 });
 
+describe('VeresOneClient', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let client;
+  let deactivated;
+
+  beforeEach(async () => {
+    requests = [];
+    deactivated = false;
+    ({server, baseUrl} = await _startServer({
+      handler: (req, res) => {
+        const url = new URL(req.url, baseUrl);
+        requests.push(url);
+        if(url.pathname === '/tickets') {
+          return _reply(res, 400, {type: 'ValidationError'});
+        }
+        const versionId = url.searchParams.get('versionId');
+        const versionTime = url.searchParams.get('versionTime');
+        if(versionId === '0' || versionTime === '2020-01-01T00:00:00.000Z') {
+          return _reply(res, 200, TEST_DID_RESULT);
+        }
+        if(versionId === '7') {
+          // a node that ignores the version query
+          return _reply(res, 200, {...TEST_DID_RESULT, meta: {sequence: 3}});
+        }
+        if(versionId === null && versionTime === null) {
+          if(deactivated) {
+            return _reply(res, 410, {});
+          }
+          const id = url.searchParams.get('id');
+          return _reply(res, 200, {record: {id}, meta: {sequence: 4}});
+        }
+        _reply(res, 404, {});
+      }
+    }));
+    client = new VeresOneClient({
+      hostname: 'ledger.example', mode: 'test',
+      ledger: {
+        async getServiceEndpoint({serviceId}) {
+          expect(serviceId).to.equal('ledgerQueryService');
+          return `${baseUrl}/query`;
+        }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('getRecord', () => {
+    it('should fetch the latest version of a record', async () => {
+      const {didDocument, meta} = await client.getRecord({did: TEST_DID});
+      expect(didDocument).to.eql({id: TEST_DID});
+      expect(meta).to.eql({sequence: 4});
+      expect(requests).to.have.length(1);
+      expect(requests[0].searchParams.get('id')).to.equal(TEST_DID);
+      expect(requests[0].searchParams.has('versionId')).to.be.false;
+    });
+
+    it('should fetch a record by "versionId"', async () => {
+      const {didDocument, meta} = await client.getRecord({
+        did: TEST_DID, versionId: 0
+      });
+      expect(didDocument).to.eql(TEST_DID_RESULT.record);
+      expect(meta).to.eql({sequence: 0});
+      expect(requests[0].searchParams.get('id')).to.equal(TEST_DID);
+    });
+
+    it('should fetch a record by "versionTime"', async () => {
+      const didDocument = await client.get({
+        did: TEST_DID, versionTime: new Date('2020-01-01T00:00:00Z')
+      });
+      expect(didDocument).to.eql(TEST_DID_RESULT.record);
+    });
+
+    it('should throw "NotFoundError" for an unknown version', async () => {
+      let error;
+      try {
+        await client.getRecord({did: TEST_DID, versionId: '2'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      error.name.should.equal('NotFoundError');
+      error.details.versionId.should.equal(2);
+    });
+
+    it('should throw "NotFoundError" for a deactivated record', async () => {
+      deactivated = true;
+      let error;
+      try {
+        await client.getRecord({did: TEST_DID});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      error.code.should.equal('notFound');
+      error.details.deactivated.should.be.true;
+    });
+
+    it('should throw if the ledger returns another version', async () => {
+      let error;
+      try {
+        await client.getRecord({did: TEST_DID, versionId: '7'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      error.name.should.equal('DataError');
+    });
+
+    it('should throw on invalid version parameters', async () => {
+      for(const options of [
+        {versionId: -1}, {versionTime: 'never'},
+        {versionId: 1, versionTime: new Date()}
+      ]) {
+        let error;
+        try {
+          await client.getRecord({did: TEST_DID, ...options});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('wrap', () => {
+    it('should wrap a changeset in an update operation', async () => {
+      client.ledger.wrap = async ({record, operationType}) => ({
+        type: operationType, record
+      });
+      const changeset = {target: TEST_DID, patch: [], sequence: 1};
+      const operation = await client.wrap({
+        didDocument: {id: TEST_DID}, changeset, operationType: 'update'
+      });
+      expect(operation.record).to.equal(changeset);
+    });
+
+    it('should wrap a deactivate operation', async () => {
+      client = new VeresOneClient({hostname: 'ledger.example'});
+      // as fetched by web-ledger-client from the node's ledger agent
+      Object.assign(client.ledger, {
+        ledgerAgent: {service: {}},
+        ledgerAgentStatus: {targetNode: 'https://node.example'}
+      });
+      const operation = await client.wrap(
+        {did: TEST_DID, sequence: 3, operationType: 'deactivate'});
+      expect(operation).to.eql({
+        '@context': [
+          'https://w3id.org/webledger/v1', 'https://w3id.org/zcap/v1'
+        ],
+        creator: 'https://node.example',
+        type: 'DeactivateWebLedgerRecord',
+        recordPatch: {target: TEST_DID, sequence: 3}
+      });
+      // the same context and creator as other web ledger operations
+      const update = await client.wrap({
+        changeset: {target: TEST_DID, patch: [], sequence: 3},
+        operationType: 'update'
+      });
+      expect(operation['@context']).to.eql(update['@context']);
+      expect(operation.creator).to.equal(update.creator);
+
+      let error;
+      try {
+        await client.wrap({did: TEST_DID, operationType: 'deactivate'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+
+    it('should require a changeset for update operations', async () => {
+      let error;
+      try {
+        await client.wrap(
+          {didDocument: {id: TEST_DID}, operationType: 'update'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('getTicketServiceProof', () => {
+    it('should throw "TicketServiceError" on error responses', async () => {
+      let error;
+      try {
+        await client.getTicketServiceProof({
+          operation: {type: 'CreateWebLedgerRecord'},
+          ticketService: `${baseUrl}/tickets`
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TicketServiceError);
+      error.code.should.equal('ticketServiceError');
+      error.message.should.equal(
+        'Error getting a proof from the ticket service.');
+      error.details.status.should.equal(400);
+      error.details.error.should.eql({type: 'ValidationError'});
+      // client errors are not retried
+      expect(requests).to.have.length(1);
+    });
+  });
+});
+
+describe('VeresOneClient failover', () => {
+  const RECORD = {record: {id: TEST_DID}, meta: {sequence: 1}};
+  let server;
+  let baseUrl;
+  let behaviors;
+  let client;
+  let calls;
+
+  beforeEach(async () => {
+    calls = [];
+    ({server, baseUrl} = await _startServer({
+      // each node's requests are answered by its behavior
+      handler: (req, res) => {
+        const [, hostname] = req.url.split('/');
+        calls.push(hostname);
+        behaviors[client.nodes.findIndex(node => node.hostname === hostname)](
+          res);
+      }
+    }));
+    client = new VeresOneClient({
+      hostnames: ['node-1.example', 'node-2.example', 'node-3.example'],
+      logger: {warn() {}}, retry: {retries: 0}
+    });
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function _stubLedgers(nodeBehaviors) {
+    behaviors = nodeBehaviors;
+    client.nodes.forEach(node => {
+      node.ledger = {
+        async getServiceEndpoint({serviceId}) {
+          return `${baseUrl}/${node.hostname}/${serviceId}`;
+        }
+      };
+    });
+  }
+
+  it('should require a hostname', async () => {
+    expect(() => new VeresOneClient({})).to.throw(TypeError);
+    expect(() => new VeresOneClient({hostnames: []})).to.throw(TypeError);
+    expect(() => new VeresOneClient({
+      hostnames: ['node-1.example'], readQuorum: 2
+    })).to.throw(TypeError);
+  });
+
+  it('should keep "hostname" and "ledger" for a single node', async () => {
+    client = new VeresOneClient({hostname: 'node-1.example'});
+    expect(client.hostname).to.equal('node-1.example');
+    expect(client.ledger.hostname).to.equal('node-1.example');
+
+    // both can be set, as before multi-node support
+    const ledger = {};
+    client.ledger = ledger;
+    client.hostname = 'node-2.example';
+    expect(client.ledger).to.equal(ledger);
+    expect(client.nodes[0]).to.include({ledger, hostname: 'node-2.example'});
+  });
+
+  it('should fail over to the next node on network errors', async () => {
+    _stubLedgers([_unreachable, _ok(RECORD), _ok(RECORD)]);
+    const {didDocument} = await client.getRecord({did: TEST_DID});
+    expect(didDocument).to.eql(RECORD.record);
+    expect(calls).to.eql(['node-1.example', 'node-2.example']);
+    expect(client.hostname).to.equal('node-2.example');
+
+    // the failed node is skipped until its cooldown expires
+    calls = [];
+    await client.getRecord({did: TEST_DID});
+    expect(calls).to.eql(['node-2.example']);
+  });
+
+  it('should fail over to the next node on server errors', async () => {
+    _stubLedgers([res => _reply(res, 503, {}), _ok(RECORD), _ok(RECORD)]);
+    await client.getRecord({did: TEST_DID});
+    expect(calls).to.eql(['node-1.example', 'node-2.example']);
+  });
+
+  it('should not fail over when a record is not found', async () => {
+    _stubLedgers([res => _reply(res, 404, {}), _ok(RECORD), _ok(RECORD)]);
+    let error;
+    try {
+      await client.getRecord({did: TEST_DID});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.exist;
+    error.name.should.equal('NotFoundError');
+    expect(calls).to.eql(['node-1.example']);
+  });
+
+  it('should throw if all nodes fail', async () => {
+    _stubLedgers([_unreachable, _unreachable, _unreachable]);
+    let error;
+    try {
+      await client.getStatus();
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(LedgerUnavailableError);
+    error.code.should.equal('ledgerUnavailable');
+    error.name.should.equal('NetworkError');
+    expect(error.details.errors).to.have.length(3);
+  });
+
+  it('should throw "OperationRejectedError" when the ledger rejects an ' +
+    'operation', async () => {
+    _stubLedgers([1, 2, 3].map(() =>
+      res => _reply(res, 400, {type: 'ValidationError'})));
+    let error;
+    try {
+      await client.send({operation: {type: 'UpdateWebLedgerRecord'}});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(OperationRejectedError);
+    error.code.should.equal('operationRejected');
+    error.details.should.include(
+      {status: 400, operationType: 'UpdateWebLedgerRecord'});
+    error.details.error.should.eql({type: 'ValidationError'});
+    expect(calls).to.eql(['node-1.example']);
+  });
+
+  it('should not re-send an operation that may have been received',
+    async () => {
+      // the first node never responds
+      _stubLedgers([() => {}, _ok({}), _ok({})]);
+      let error;
+      try {
+        await client.send({operation: {}, timeout: 50});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      error.name.should.equal('TimeoutError');
+      expect(calls).to.eql(['node-1.example']);
+    });
+
+  it('should not re-send an operation after a server error', async () => {
+    _stubLedgers([res => _reply(res, 500, {}), _ok({}), _ok({})]);
+    let error;
+    try {
+      await client.send({operation: {type: 'UpdateWebLedgerRecord'}});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(LedgerUnavailableError);
+    error.details.status.should.equal(500);
+    expect(calls).to.eql(['node-1.example']);
+  });
+
+  it('should send an operation to the next node if a node cannot be ' +
+    'reached', async () => {
+    _stubLedgers([_unreachable, _ok({}), _ok({})]);
+    await client.send({operation: {}});
+    expect(calls).to.eql(['node-1.example', 'node-2.example']);
+  });
+
+  it('should check the health of every node', async () => {
+    _stubLedgers([_unreachable, _ok({}), _ok({})]);
+    const results = await client.checkHealth();
+    expect(results.map(({hostname, healthy}) => ({hostname, healthy})))
+      .to.eql([
+        {hostname: 'node-1.example', healthy: false},
+        {hostname: 'node-2.example', healthy: true},
+        {hostname: 'node-3.example', healthy: true}
+      ]);
+    expect(client.hostname).to.equal('node-2.example');
+  });
+
+  it('should read from several nodes with "readQuorum"', async () => {
+    client.readQuorum = 2;
+    _stubLedgers([_ok(RECORD), _ok(RECORD), _ok(RECORD)]);
+    const {didDocument} = await client.getRecord({did: TEST_DID});
+    expect(didDocument).to.eql(RECORD.record);
+    // nodes are read from in parallel
+    expect(calls.sort()).to.eql(['node-1.example', 'node-2.example']);
+  });
+
+  it('should throw if nodes return different records', async () => {
+    client.readQuorum = 3;
+    _stubLedgers([
+      _ok(RECORD), _ok(RECORD), _ok({...RECORD, meta: {sequence: 0}})
+    ]);
+    let error;
+    try {
+      await client.getRecord({did: TEST_DID});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.exist;
+    error.name.should.equal('DataError');
+    expect(error.details.results).to.have.length(3);
+  });
+});
+
+describe('VeresOneClient retry and timeout', () => {
+  const RECORD = {record: {id: TEST_DID}, meta: {sequence: 1}};
+  let server;
+  let baseUrl;
+  let behavior;
+  let closed;
+  let client;
+  let calls;
+
+  beforeEach(async () => {
+    calls = 0;
+    closed = 0;
+    ({server, baseUrl} = await _startServer({
+      handler: (req, res) => {
+        // counts requests aborted before a response was sent
+        res.on('close', () => closed += res.writableEnded ? 0 : 1);
+        behavior(res, ++calls);
+      }
+    }));
+    client = new VeresOneClient({
+      hostname: 'node-1.example', logger: {warn() {}},
+      retry: {retries: 2, minDelay: 1, maxDelay: 5}
+    });
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function _stubLedger(nodeBehavior) {
+    behavior = nodeBehavior;
+    client.nodes[0].ledger = {
+      async getServiceEndpoint({serviceId}) {
+        return `${baseUrl}/${serviceId}`;
+      }
+    };
+  }
+
+  async function _error(promise) {
+    try {
+      await promise;
+    } catch(e) {
+      return e;
+    }
+  }
+
+  // waits (up to a second) for the server to see an aborted request
+  async function _aborted() {
+    for(let i = 0; closed === 0 && i < 100; ++i) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  it('should retry reads on server errors', async () => {
+    _stubLedger((res, call) => _reply(res, call < 3 ? 503 : 200, RECORD));
+    const {didDocument} = await client.getRecord({did: TEST_DID});
+    expect(didDocument).to.eql(RECORD.record);
+    calls.should.equal(3);
+  });
+
+  it('should give up after "retries" attempts', async () => {
+    _stubLedger(res => _reply(res, 503, {}));
+    const error = await _error(client.getStatus({retry: {retries: 1}}));
+    expect(error).to.exist;
+    error.details.status.should.equal(503);
+    calls.should.equal(2);
+  });
+
+  it('should not retry when a record is not found', async () => {
+    _stubLedger(res => _reply(res, 404, {}));
+    const error = await _error(client.getRecord({did: TEST_DID}));
+    error.name.should.equal('NotFoundError');
+    calls.should.equal(1);
+  });
+
+  it('should not retry errors that are not node failures', async () => {
+    _stubLedger(res => _reply(res, 200, RECORD));
+    let error = await _error(client.getRecord({did: TEST_DID, versionId: 2}));
+    error.name.should.equal('DataError');
+    calls.should.equal(1);
+
+    // a bug rather than a node failure
+    let attempts = 0;
+    client.nodes[0].ledger = {
+      async getServiceEndpoint() {
+        ++attempts;
+        throw new TypeError('Not a function.');
+      }
+    };
+    error = await _error(client.getRecord({did: TEST_DID}));
+    error.should.be.instanceOf(TypeError);
+    attempts.should.equal(1);
+  });
+
+  it('should not retry sending an operation', async () => {
+    _stubLedger(res => _reply(res, 503, {}));
+    const error = await _error(client.send({operation: {}}));
+    expect(error).to.exist;
+    calls.should.equal(1);
+  });
+
+  it('should time out and retry hanging requests', async () => {
+    _stubLedger((res, call) => call < 2 || _reply(res, 200, RECORD));
+    const {didDocument} = await client.getRecord(
+      {did: TEST_DID, timeout: 20});
+    expect(didDocument).to.eql(RECORD.record);
+    calls.should.equal(2);
+  });
+
+  it('should throw "TimeoutError" when a send times out', async () => {
+    _stubLedger(() => {});
+    const error = await _error(client.send({operation: {}, timeout: 20}));
+    error.name.should.equal('TimeoutError');
+    error.details.timeout.should.equal(20);
+  });
+
+  it('should abort the HTTP request of an operation that times out',
+    async () => {
+      _stubLedger(() => {});
+      await _error(client.send({operation: {}, timeout: 100}));
+      await _aborted();
+      closed.should.equal(1);
+    });
+
+  it('should cancel a request with an AbortSignal', async () => {
+    const controller = new AbortController();
+    // cancel the request once the ledger has received it
+    _stubLedger(() => controller.abort());
+    const error = await _error(client.getRecord(
+      {did: TEST_DID, signal: controller.signal}));
+    error.name.should.equal('AbortError');
+    calls.should.equal(1);
+  });
+
+  it('should cancel HTTP requests to the ledger', async () => {
+    _stubLedger(() => {});
+    const error = await _error(client.getRecord(
+      {did: TEST_DID, versionId: 1, timeout: 100, retry: {retries: 0}}));
+    error.should.be.instanceOf(LedgerUnavailableError);
+    error.details.errors[0].error.name.should.equal('TimeoutError');
+    await _aborted();
+    closed.should.equal(1);
+  });
+});
+
+async function _startServer({handler}) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const {port} = server.address();
+  return {server, baseUrl: `http://127.0.0.1:${port}`};
+}
+
+function _reply(res, status, data) {
+  res.writeHead(status, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify(data));
+}
+
+function _ok(data) {
+  return res => _reply(res, 200, data);
+}
+
+// closes the connection without a response, as if the node was unreachable
+function _unreachable(res) {
+  res.socket.destroy();
+}
+
 function _nockLedgerAgentStatus() {
   const {ledgerAgent: [{service: {ledgerAgentStatusService}}]} =
     LEDGER_AGENTS_DOC;
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2024 Veres One Project. All rights reserved.
+ * Copyright (c) 2018-2026 Veres One Project. All rights reserved.
  */
 import chai from 'chai';
 import nock from 'nock';
@@ -11,8 +11,20 @@ import {
   Ed25519VerificationKey2020
 } from '@digitalbazaar/ed25519-verification-key-2020';
 
+import * as EcdsaMultikeyLib from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519MultikeyLib from '@digitalbazaar/ed25519-multikey';
+import {
+  attachInvocationProof, ConfirmationTimeoutError, constants,
+  ControllerNotAuthorizedError, DidNotFoundError, EcdsaMultikey,
+  Ed25519Multikey, fromNym, InvalidDidDocumentError, InvalidDidError,
+  InvalidKeystoreError, InvalidPatchError, methodFromJwk, methodToJwk,
+  OperationRejectedError, parseDidUrl, ResolutionCache, SequenceConflictError,
+  VeresOneClient, VeresOneDidDoc, VeresOneDriver, verifyInvocationProof
+} from '../lib/index.js';
+import {applyPatch} from 'fast-json-patch/index.mjs';
 import {CryptoLD} from 'crypto-ld';
-import {VeresOneDriver} from '../lib/index.js';
+import {DID_DOC_CONTEXTS} from '../lib/VeresOneDriver.js';
+import http from 'node:http';
 
 import {createRequire} from 'node:module';
 const requireJson = createRequire(import.meta.url);
@@ -59,109 +71,1556 @@ describe('methods/veres-one', () => {
 
       _nockLedgerAgentStatus();
 
-      const didDoc = await driver.get({did: TEST_DID});
-      expect(didDoc.id).to.equal(TEST_DID);
+      const didDoc = await driver.get({did: TEST_DID});
+      expect(didDoc.id).to.equal(TEST_DID);
+    });
+
+    it('should derive a DID Doc if it encounters a 404 for nym', async () => {
+      nock('https://ashburn.capybara.veres.one')
+        .get(`/ledger-agents`)
+        .reply(200, LEDGER_AGENTS_DOC);
+
+      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
+        LEDGER_AGENTS_DOC;
+      nock(ledgerQueryService)
+        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
+        .reply(404);
+
+      _nockLedgerAgentStatus();
+
+      const result = await driver.get({did: UNREGISTERED_NYM});
+      expect(result).to.eql(UNREGISTERED_DOC);
+    });
+
+    it('should return a key present in an un-registered DID', async () => {
+      nock('https://ashburn.capybara.veres.one')
+        .get(`/ledger-agents`)
+        .reply(200, LEDGER_AGENTS_DOC);
+
+      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
+        LEDGER_AGENTS_DOC;
+      nock(ledgerQueryService)
+        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
+        .reply(404);
+
+      _nockLedgerAgentStatus();
+
+      // eslint-disable-next-line max-len
+      const unregisteredKey = 'did:v1:nym:z6MkiCqJ7vhBXRau9BT9yXA9LxSGarmL4W8gFD8qajBZz4gQ#z6MkiCqJ7vhBXRau9BT9yXA9LxSGarmL4W8gFD8qajBZz4gQ';
+      const result = await driver.get({did: unregisteredKey});
+
+      expect(result).to.eql({
+        '@context': [
+          'https://w3id.org/did/v0.11',
+          'https://w3id.org/veres-one/v1'
+        ],
+        // eslint-disable-next-line max-len
+        id: 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt#z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt',
+        type: 'Ed25519VerificationKey2020',
+        // eslint-disable-next-line max-len
+        controller: 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt',
+        publicKeyBase58: 'QugeAcHQwASabUMTXFNefYdBeD8wU24CENyayNzkXuW'
+      });
+    });
+
+    it('should throw a 404 getting a non-invoke unregistered key', async () => {
+      nock('https://ashburn.capybara.veres.one')
+        .get(`/ledger-agents`)
+        .reply(200, LEDGER_AGENTS_DOC);
+
+      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
+        LEDGER_AGENTS_DOC;
+      nock(ledgerQueryService)
+        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
+        .reply(404);
+
+      _nockLedgerAgentStatus();
+
+      let error;
+      let result;
+      // eslint-disable-next-line max-len
+      const nonInvokeKey = 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt#z6MkrhVjBzL7pjojt3nYxSbNkTkZuCyRh6izYEUJL4pyPbB6';
+
+      try {
+        result = await driver.get({did: nonInvokeKey});
+      } catch(e) {
+        error = e;
+      }
+      expect(result).not.to.exist;
+      expect(error).to.exist;
+      error.name.should.equal('NotFoundError');
+    });
+
+    it('should throw a 404 if non-nym DID not found on ledger', async () => {
+      nock('https://ashburn.capybara.veres.one')
+        .get(`/ledger-agents`)
+        .reply(200, LEDGER_AGENTS_DOC);
+
+      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
+        LEDGER_AGENTS_DOC;
+      nock(ledgerQueryService)
+        .post('/?id=' + encodeURIComponent(UNREGISTERED_UUID))
+        .reply(404);
+
+      _nockLedgerAgentStatus();
+
+      let error;
+      let result;
+      try {
+        result = await driver.get({did: UNREGISTERED_UUID});
+      } catch(e) {
+        error = e;
+      }
+      expect(result).not.to.exist;
+      expect(error).to.exist;
+      error.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('resolve', () => {
+    beforeEach(() => {
+      driver = new VeresOneDriver({
+        mode: 'test', client: _mockClient({records: [TEST_DID_RESULT]})
+      });
+    });
+
+    it('should resolve a DID registered on the ledger', async () => {
+      const {
+        didDocument, didDocumentMetadata, didResolutionMetadata
+      } = await driver.resolve({did: TEST_DID});
+      expect(didDocument).to.eql(TEST_DID_RESULT.record);
+      expect(didDocumentMetadata).to.eql({
+        source: 'ledger', sequence: 0, versionId: '0'
+      });
+      expect(didResolutionMetadata).to.eql({
+        contentType: 'application/did+ld+json'
+      });
+    });
+
+    it('should include created/updated ledger metadata', async () => {
+      driver = new VeresOneDriver({
+        mode: 'test', client: _mockClient({records: [{
+          record: TEST_DID_RESULT.record,
+          meta: {sequence: 2, created: 1700000000000, updated: 1700000060000}
+        }]})
+      });
+      const {didDocumentMetadata} = await driver.resolve({did: TEST_DID});
+      expect(didDocumentMetadata).to.eql({
+        source: 'ledger',
+        sequence: 2,
+        versionId: '2',
+        created: '2023-11-14T22:13:20Z',
+        updated: '2023-11-14T22:14:20Z'
+      });
+    });
+
+    it('should construct an unregistered nym DID Document', async () => {
+      const {
+        didDocument, didDocumentMetadata, didResolutionMetadata
+      } = await driver.resolve({did: UNREGISTERED_NYM});
+      expect(didDocument.id).to.equal(UNREGISTERED_NYM);
+      expect(didDocumentMetadata).to.eql({source: 'nym'});
+      expect(didResolutionMetadata.contentType).to.equal(
+        'application/did+ld+json');
+    });
+
+    it('should omit "@context" for "application/did+json"', async () => {
+      const {didDocument, didResolutionMetadata} = await driver.resolve({
+        did: TEST_DID, accept: 'application/did+json'
+      });
+      expect(didDocument).to.not.have.property('@context');
+      expect(didDocument.id).to.equal(TEST_DID);
+      expect(didResolutionMetadata.contentType).to.equal(
+        'application/did+json');
+    });
+
+    it('should report "notFound" for an unregistered uuid DID', async () => {
+      const result = await driver.resolve({
+        did: 'did:v1:test:uuid:ad33d59b630f44d49bdfb8266d4a243e'
+      });
+      expect(result.didDocument).to.equal(null);
+      expect(result.didDocumentMetadata).to.eql({});
+      expect(result.didResolutionMetadata.error).to.equal('notFound');
+    });
+
+    it('should report "invalidDid" for a malformed DID', async () => {
+      for(const did of [
+        '1234', 'did:v1:test:foo:1234', `${TEST_DID}#key-1`, 'did:v1:nym:abc'
+      ]) {
+        const {didDocument, didResolutionMetadata} = await driver.resolve(
+          {did});
+        expect(didDocument).to.equal(null);
+        expect(didResolutionMetadata.error).to.equal('invalidDid');
+      }
+    });
+
+    it('should report "methodNotSupported" for other methods', async () => {
+      const {didResolutionMetadata} = await driver.resolve({
+        did: 'did:key:z6MkpuEWNixE7JwBfbiZu4feAgtGL8zB1RCAJtKoZNLyJYTJ'
+      });
+      expect(didResolutionMetadata.error).to.equal('methodNotSupported');
+    });
+
+    it('should report "representationNotSupported"', async () => {
+      const {didResolutionMetadata} = await driver.resolve({
+        did: TEST_DID, accept: 'application/xml'
+      });
+      expect(didResolutionMetadata.error).to.equal(
+        'representationNotSupported');
+    });
+
+    it('should resolve a DID Document by "versionId"', async () => {
+      const {didDocument: original} = await driver.generate();
+      const updated = {...original, service: [{
+        id: `${original.id}#hub`, type: 'Hub',
+        serviceEndpoint: 'https://hub.example.com'
+      }]};
+      driver = new VeresOneDriver({
+        mode: 'test', client: _mockClient({records: [
+          {record: original, meta: {sequence: 0, updated: 1000}},
+          {record: updated, meta: {sequence: 1, updated: 2000}}
+        ]})
+      });
+
+      let result = await driver.resolve({did: original.id});
+      expect(result.didDocument).to.eql(updated);
+
+      result = await driver.resolve({did: original.id, versionId: '0'});
+      expect(result.didDocument).to.eql(original);
+      expect(result.didDocumentMetadata.versionId).to.equal('0');
+
+      result = await driver.resolve({
+        did: original.id, versionTime: new Date(1500).toISOString()
+      });
+      expect(result.didDocument).to.eql(original);
+
+      result = await driver.resolve({did: original.id, versionId: '5'});
+      expect(result.didResolutionMetadata.error).to.equal('notFound');
+
+      const didDocument = await driver.get({did: original.id, versionId: 1});
+      expect(didDocument).to.eql(updated);
+    });
+
+    it('should not construct a nym DID Document for a version', async () => {
+      const result = await driver.resolve({
+        did: UNREGISTERED_NYM, versionId: '0'
+      });
+      expect(result.didResolutionMetadata.error).to.equal('notFound');
+    });
+
+    it('should report "invalidOptions" for invalid versions', async () => {
+      for(const options of [
+        {versionId: 'latest'},
+        {versionTime: 'yesterday'},
+        {versionId: '1', versionTime: '2024-01-01T00:00:00Z'}
+      ]) {
+        const {didResolutionMetadata} = await driver.resolve({
+          did: TEST_DID, ...options
+        });
+        expect(didResolutionMetadata.error).to.equal('invalidOptions');
+      }
+    });
+
+    it('should report "internalError" if the ledger fails', async () => {
+      driver = new VeresOneDriver({
+        mode: 'test', client: {
+          async getRecord() {
+            throw new Error('Connection refused.');
+          }
+        }
+      });
+      const {didResolutionMetadata} = await driver.resolve({did: TEST_DID});
+      expect(didResolutionMetadata).to.eql({
+        error: 'internalError', errorMessage: 'Connection refused.'
+      });
+    });
+
+    it('should throw when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      let error;
+      try {
+        await driver.resolve({did: TEST_DID, signal: controller.signal});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      error.name.should.equal('AbortError');
+    });
+  });
+
+  describe('dereference', () => {
+    let didDocument;
+
+    beforeEach(async () => {
+      ({didDocument} = await driver.generate());
+      didDocument.service = [{
+        id: `${didDocument.id}#linked-domain`,
+        type: 'LinkedDomains',
+        serviceEndpoint: 'https://example.com'
+      }, {
+        id: '#hub',
+        type: 'IdentityHub',
+        serviceEndpoint: ['https://hub.example.com/v1/']
+      }, {
+        id: `${didDocument.id}#messaging`,
+        type: 'DIDCommMessaging',
+        serviceEndpoint: {uri: 'https://example.com/didcomm'}
+      }];
+      driver = new VeresOneDriver({
+        mode: 'test',
+        client: _mockClient({records: [{record: didDocument, meta: {
+          sequence: 1
+        }}]})
+      });
+    });
+
+    it('should dereference a DID to its DID Document', async () => {
+      const {
+        contentStream, contentMetadata, dereferencingMetadata
+      } = await driver.dereference({didUrl: didDocument.id});
+      expect(contentStream).to.eql(didDocument);
+      expect(contentMetadata).to.eql({
+        source: 'ledger', sequence: 1, versionId: '1'
+      });
+      expect(dereferencingMetadata).to.eql({
+        contentType: 'application/did+ld+json'
+      });
+    });
+
+    it('should dereference a fragment to a service entry', async () => {
+      const {contentStream, dereferencingMetadata} = await driver.dereference({
+        didUrl: `${didDocument.id}#linked-domain`
+      });
+      expect(contentStream).to.eql({
+        '@context': didDocument['@context'],
+        ...didDocument.service[0]
+      });
+      expect(dereferencingMetadata.contentType).to.equal(
+        'application/ld+json');
+    });
+
+    it('should dereference a fragment to a verification method', async () => {
+      const [method] = didDocument.verificationMethod;
+      const {contentStream} = await driver.dereference({didUrl: method.id});
+      expect(contentStream.id).to.equal(method.id);
+      expect(contentStream.publicKeyMultibase).to.equal(
+        method.publicKeyMultibase);
+      expect(contentStream['@context']).to.exist;
+    });
+
+    it('should construct a URL from "service" and "relativeRef"', async () => {
+      const {contentStream, dereferencingMetadata} = await driver.dereference({
+        didUrl: `${didDocument.id}?service=hub&relativeRef=` +
+          encodeURIComponent('/v1/inbox?limit=10')
+      });
+      expect(contentStream).to.equal(
+        'https://hub.example.com/v1/inbox?limit=10');
+      expect(dereferencingMetadata.contentType).to.equal('text/uri-list');
+    });
+
+    it('should append the fragment to a service endpoint URL', async () => {
+      const {contentStream} = await driver.dereference({
+        didUrl: `${didDocument.id}?service=linked-domain#about`
+      });
+      expect(contentStream).to.equal('https://example.com/#about');
+    });
+
+    it('should report "notFound" for a map service endpoint', async () => {
+      const {contentStream, dereferencingMetadata} = await driver.dereference({
+        didUrl: `${didDocument.id}?service=messaging`
+      });
+      expect(contentStream).to.equal(null);
+      expect(dereferencingMetadata.error).to.equal('notFound');
+    });
+
+    it('should report "notFound" for an unknown fragment', async () => {
+      const {dereferencingMetadata} = await driver.dereference({
+        didUrl: `${didDocument.id}#unknown`
+      });
+      expect(dereferencingMetadata.error).to.equal('notFound');
+    });
+
+    it('should report "notFound" for an unknown service', async () => {
+      const {dereferencingMetadata} = await driver.dereference({
+        didUrl: `${didDocument.id}?service=unknown`
+      });
+      expect(dereferencingMetadata.error).to.equal('notFound');
+    });
+
+    it('should report "invalidDidUrl" for a malformed DID URL', async () => {
+      for(const didUrl of [undefined, 'did:v1:test:foo:1234#key']) {
+        const {contentStream, dereferencingMetadata} = await driver
+          .dereference({didUrl});
+        expect(contentStream).to.equal(null);
+        expect(dereferencingMetadata.error).to.equal('invalidDidUrl');
+      }
+    });
+  });
+
+  describe('parseDidUrl', () => {
+    it('should parse a DID URL into its components', async () => {
+      const parsed = parseDidUrl({
+        didUrl: `${TEST_DID}?service=hub&relativeRef=%2Finbox#messages`
+      });
+      expect(parsed).to.eql({
+        did: TEST_DID,
+        didUrl: `${TEST_DID}?service=hub&relativeRef=%2Finbox#messages`,
+        mode: 'test',
+        didType: 'nym',
+        id: 'z6MkpuEWNixE7JwBfbiZu4feAgtGL8zB1RCAJtKoZNLyJYTJ',
+        path: undefined,
+        query: 'service=hub&relativeRef=%2Finbox',
+        params: {service: 'hub', relativeRef: '/inbox'},
+        fragment: 'messages'
+      });
+    });
+
+    it('should throw on a malformed DID URL', async () => {
+      expect(() => parseDidUrl({didUrl: 'did:example:1234'})).to.throw(
+        /^Invalid DID format/);
+      expect(() => parseDidUrl({didUrl: 'did:v1:uuid:12%34#key'})).to.throw(
+        InvalidDidError, /^Specific id contains invalid characters/);
+    });
+  });
+
+  describe('cache', () => {
+    let client;
+
+    beforeEach(() => {
+      client = _mockClient({records: [TEST_DID_RESULT]});
+      driver = new VeresOneDriver({mode: 'test', client, cache: true});
+    });
+
+    it('should not cache by default', async () => {
+      driver = new VeresOneDriver({mode: 'test', client});
+      expect(driver.cache).to.equal(null);
+      await driver.get({did: TEST_DID});
+      await driver.get({did: TEST_DID});
+      expect(client.calls).to.have.length(2);
+    });
+
+    it('should accept cache options or a cache instance', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, cache: {ttl: 10}});
+      expect(driver.cache).to.be.instanceOf(ResolutionCache);
+      expect(driver.cache.ttl).to.equal(10);
+
+      const cache = new ResolutionCache();
+      driver = new VeresOneDriver({mode: 'test', client, cache});
+      expect(driver.cache).to.equal(cache);
+    });
+
+    it('should fetch a DID Document from the ledger once', async () => {
+      const didDocument = await driver.get({did: TEST_DID});
+      // changes made by the caller must not affect the cache
+      didDocument.id = 'changed';
+      const {didDocument: resolved, didDocumentMetadata} = await driver
+        .resolve({did: TEST_DID});
+      expect(resolved).to.eql(TEST_DID_RESULT.record);
+      expect(didDocumentMetadata.source).to.equal('ledger');
+      expect(client.calls).to.have.length(1);
+    });
+
+    it('should cache dereferenced keys', async () => {
+      const {didDocument} = await driver.generate();
+      client = _mockClient({records: [{record: didDocument, meta: {}}]});
+      driver = new VeresOneDriver({mode: 'test', client, cache: true});
+      const [{id: methodId}] = didDocument.verificationMethod;
+      const key = await driver.get({url: methodId});
+      await driver.cache.invalidate({did: 'did:v1:test:uuid:other'});
+      expect(await driver.get({url: methodId})).to.eql(key);
+      expect(client.calls).to.have.length(1);
+      expect(await driver.cache.getKey({methodId})).to.eql(key);
+    });
+
+    it('should cache "not found" results', async () => {
+      const did = 'did:v1:test:uuid:ad33d59b630f44d49bdfb8266d4a243e';
+      for(let i = 0; i < 2; ++i) {
+        const {didResolutionMetadata} = await driver.resolve({did});
+        expect(didResolutionMetadata.error).to.equal('notFound');
+      }
+      expect(client.calls).to.have.length(1);
+    });
+
+    it('should not cache lookups by "versionTime"', async () => {
+      const versionTime = new Date().toISOString();
+      await driver.get({did: TEST_DID, versionTime});
+      await driver.get({did: TEST_DID, versionTime});
+      expect(client.calls).to.have.length(2);
+    });
+
+    it('should invalidate a DID on register() and update()', async () => {
+      await driver.get({did: TEST_DID});
+      driver.client.wrap = async ({didDocument, operationType}) => ({
+        type: operationType, record: didDocument
+      });
+      driver.send = async () => {};
+
+      // update() fetches the current record from the ledger
+      await driver.update({didDocument: {...TEST_DID_RESULT.record, service: [
+        {id: `${TEST_DID}#hub`, type: 'Hub', serviceEndpoint: 'https://hub'}
+      ]}});
+      await driver.get({did: TEST_DID});
+      expect(client.calls).to.have.length(3);
+
+      await driver.register({didDocument: TEST_DID_RESULT.record});
+      await driver.get({did: TEST_DID});
+      expect(client.calls).to.have.length(4);
+    });
+  });
+
+  describe('prepareOperation', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let didDocument;
+    let keyPairs;
+    let methodFor;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      ({didDocument, keyPairs, methodFor} = await driver.generate());
+    });
+
+    it('should sign an operation without sending it', async () => {
+      const operation = await driver.prepareOperation({didDocument, keyPairs});
+      expect(operation.type).to.equal('CreateWebLedgerRecord');
+      expect(operation.record).to.eql(didDocument);
+      expect(operation.proof.type).to.equal('Ed25519Signature2020');
+      expect(operation.proof.proofPurpose).to.equal('capabilityInvocation');
+      expect(operation.proof.capability).to.equal(didDocument.id);
+      expect(operation.proof.invocationTarget).to.equal(didDocument.id);
+      expect(operation.proof.verificationMethod).to.equal(
+        methodFor({purpose: 'capabilityInvocation'}).id);
+      expect(client.sent).to.have.length(0);
+      // the operation can be serialized as is
+      expect(JSON.parse(JSON.stringify(operation))).to.eql(operation);
+    });
+
+    it('should submit a prepared operation', async () => {
+      const operation = JSON.parse(JSON.stringify(
+        await driver.prepareOperation({didDocument, keyPairs})));
+
+      // for example, on another machine
+      const submitter = new VeresOneDriver({mode: 'test', client, logger});
+      await submitter.submitOperation({operation});
+      expect(client.sent).to.eql([operation]);
+    });
+
+    it('should wait for confirmation of a submitted operation', async () => {
+      const operation = await driver.prepareOperation({didDocument, keyPairs});
+      await driver.submitOperation(
+        {operation, waitForConfirmation: true, pollInterval: 1});
+      expect(client.records).to.have.length(1);
+      expect(client.records[0].meta.sequence).to.equal(0);
+    });
+
+    it('should reject invalid operations', async () => {
+      let error;
+      try {
+        await driver.prepareOperation(
+          {didDocument, keyPairs, operationType: 'delete'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+
+      error = null;
+      try {
+        await driver.submitOperation({operation: {record: didDocument}});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(client.sent).to.have.length(0);
+    });
+  });
+
+  describe('update', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let didDocument;
+    let keyPairs;
+    let methodFor;
+    let service;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      ({didDocument, keyPairs, methodFor} = await driver.generate());
+      client.records.push({record: didDocument, meta: {sequence: 2}});
+      service = {
+        id: `${didDocument.id}#hub`, type: 'Hub',
+        serviceEndpoint: 'https://hub.example.com'
+      };
+    });
+
+    it('should send the changes of an updater as a patch', async () => {
+      const updater = await driver.createUpdater({did: didDocument.id});
+      updater.didDocument.service = [service];
+      const updated = await driver.update({updater, keyPairs});
+      expect(updated.service).to.eql([service]);
+
+      const [operation] = client.sent;
+      expect(operation.type).to.equal('UpdateWebLedgerRecord');
+      expect(operation).to.not.have.property('record');
+      const {recordPatch} = operation;
+      expect(recordPatch.target).to.equal(didDocument.id);
+      expect(recordPatch.sequence).to.equal(2);
+      expect(recordPatch.patch).to.eql(
+        [{op: 'add', path: '/service', value: [service]}]);
+      expect(operation.proof.invocationTarget).to.equal(didDocument.id);
+      expect(operation.proof.verificationMethod).to.equal(
+        methodFor({purpose: 'capabilityInvocation'}).id);
+
+      const {didDocument: written, meta} = await client.getRecord(
+        {did: didDocument.id});
+      expect(written).to.eql(updated);
+      expect(meta.sequence).to.equal(3);
+    });
+
+    it('should diff an updated DID Document against the ledger',
+      async () => {
+        await driver.update({
+          didDocument: {...didDocument, service: [service]}, keyPairs
+        });
+        const [{recordPatch}] = client.sent;
+        expect(recordPatch.sequence).to.equal(2);
+        expect(recordPatch.patch).to.eql(
+          [{op: 'add', path: '/service', value: [service]}]);
+      });
+
+    it('should only patch the changed properties of a DID Document',
+      async () => {
+        driver = new VeresOneDriver(
+          {mode: 'test', client, logger, cache: true});
+        // resolved from the cache, and changed in place
+        await driver.get({did: didDocument.id});
+        const cached = await driver.get({did: didDocument.id});
+        cached.service = [service];
+        await driver.update({didDocument: cached, keyPairs});
+        const [{recordPatch}] = client.sent;
+        expect(recordPatch.patch).to.eql(
+          [{op: 'add', path: '/service', value: [service]}]);
+
+        // changes to immutable properties are rejected before sending
+        let error;
+        try {
+          await driver.update({
+            didDocument: {...cached, '@context': [...cached['@context']]
+              .reverse()}, keyPairs
+          });
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(InvalidPatchError);
+        expect(client.sent).to.have.length(1);
+      });
+
+    it('should take the sequence from the ledger if none is given',
+      async () => {
+        // an updater that was not created from the ledger record
+        const updater = new VeresOneDidDoc(
+          {didDocument: structuredClone(didDocument)});
+        updater.didDocument.service = [service];
+        const {patch} = updater.commit();
+        const updated = await driver.update(
+          {changeset: {target: didDocument.id, patch}, keyPairs});
+        expect(updated.service).to.eql([service]);
+        expect(client.sent[0].recordPatch.sequence).to.equal(2);
+      });
+
+    it('should throw "SequenceConflictError" for an outdated updater',
+      async () => {
+        const updater = await driver.createUpdater({did: didDocument.id});
+        updater.didDocument.service = [service];
+        await _updateAlsoKnownAs();
+
+        let error;
+        try {
+          await driver.update({updater, keyPairs});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(SequenceConflictError);
+        expect(error.code).to.equal('sequenceConflict');
+        expect(error.details.sequence).to.equal(2);
+        expect(error.details.currentSequence).to.equal(3);
+        expect(error.details.didDocument.alsoKnownAs).to.eql(
+          ['https://example.com']);
+        expect(client.sent).to.have.length(1);
+      });
+
+    it('should rebase changes to other paths', async () => {
+      const updater = await driver.createUpdater({did: didDocument.id});
+      updater.didDocument.service = [service];
+      await _updateAlsoKnownAs();
+
+      const updated = await driver.update({updater, keyPairs, rebase: true});
+      expect(updated.service).to.eql([service]);
+      expect(updated.alsoKnownAs).to.eql(['https://example.com']);
+      expect(client.sent[1].recordPatch.sequence).to.equal(3);
+      const {didDocument: written} = await client.getRecord(
+        {did: didDocument.id});
+      expect(written).to.eql(updated);
+    });
+
+    it('should not rebase changes to the same paths', async () => {
+      const updater = await driver.createUpdater({did: didDocument.id});
+      updater.didDocument.alsoKnownAs = ['https://example.org'];
+      await _updateAlsoKnownAs();
+
+      let error;
+      try {
+        await driver.update({updater, keyPairs, rebase: true});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(SequenceConflictError);
+      expect(error.details.conflicts).to.eql(['/alsoKnownAs']);
+      expect(client.sent).to.have.length(1);
+    });
+
+    it('should report a conflict when a stale operation is rejected',
+      async () => {
+        const updater = await driver.createUpdater({did: didDocument.id});
+        updater.didDocument.service = [service];
+        const operation = await driver.prepareOperation(
+          {updater, operationType: 'update', keyPairs});
+        await _updateAlsoKnownAs();
+
+        let error;
+        try {
+          await driver.submitOperation({operation});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(SequenceConflictError);
+        expect(error.details.currentSequence).to.equal(3);
+        expect(error.cause).to.be.instanceOf(OperationRejectedError);
+      });
+
+    async function _updateAlsoKnownAs() {
+      const other = await driver.createUpdater({did: didDocument.id});
+      other.didDocument.alsoKnownAs = ['https://example.com'];
+      await driver.update({updater: other, keyPairs});
+    }
+
+    it('should reject invalid services before sending', async () => {
+      const updater = await driver.createUpdater({did: didDocument.id});
+      updater.didDocument.service = [service, {...service, type: 'Other'}];
+      let error;
+      try {
+        await driver.update({updater, keyPairs});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidDidDocumentError);
+      error.message.should.match(/Duplicate id/);
+      expect(client.sent).to.have.length(0);
+    });
+
+    it('should reject changesets that change immutable fields', async () => {
+      const changeset = {
+        target: didDocument.id,
+        patch: [
+          {op: 'add', path: '/alsoKnownAs', value: ['https://example.com']},
+          {op: 'remove', path: '/capabilityInvocation'}
+        ]
+      };
+      let error;
+      try {
+        await driver.update({changeset, keyPairs});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidDidDocumentError);
+      expect(error.code).to.equal('invalidPatch');
+      expect(error.details.index).to.equal(1);
+      expect(client.sent).to.have.length(0);
+
+      changeset.patch[1] = {op: 'replace', path: '/id', value: 'did:v1:x'};
+      const result = await driver.update({changeset, keyPairs}).catch(e => e);
+      result.message.should.match(/changes "id", which is immutable/);
+      expect(client.sent).to.have.length(0);
+    });
+
+    it('should throw if there are no changes', async () => {
+      let error;
+      try {
+        await driver.update({didDocument, keyPairs});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(client.sent).to.have.length(0);
+    });
+  });
+
+  describe('rotateKey', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let didDocument;
+    let keyPairs;
+    let methodFor;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      ({didDocument, keyPairs, methodFor} = await driver.generate());
+      client.records.push({record: didDocument, meta: {sequence: 0}});
+    });
+
+    it('should rotate the capabilityInvocation key of a nym', async () => {
+      const {id: oldKeyId} = methodFor({purpose: 'capabilityInvocation'});
+      const {didDocument: updated, keyPairs: newKeyPairs} =
+        await driver.rotateKey(
+          {did: didDocument.id, purpose: 'capabilityInvocation', keyPairs});
+
+      const {id: newKeyId} = updated.verificationMethod[0];
+      expect(newKeyId).to.not.equal(oldKeyId);
+      expect(newKeyId.startsWith(`${didDocument.id}#z6Mk`)).to.be.true;
+      expect(updated.id).to.equal(didDocument.id);
+      // every relationship that used the old key uses the new one
+      for(const purpose of [
+        'capabilityInvocation', 'authentication', 'assertionMethod',
+        'capabilityDelegation'
+      ]) {
+        expect(updated[purpose]).to.eql([newKeyId]);
+      }
+      expect(updated.keyAgreement).to.eql(didDocument.keyAgreement);
+      expect(JSON.stringify(updated)).to.not.include(oldKeyId);
+
+      // signed with the old (currently authorized) key
+      const [{proof, recordPatch}] = client.sent;
+      expect(proof.verificationMethod).to.equal(oldKeyId);
+      expect(recordPatch.sequence).to.equal(0);
+
+      expect(newKeyPairs.has(oldKeyId)).to.be.false;
+      expect(newKeyPairs.get(newKeyId).privateKeyMultibase).to.exist;
+      expect(keyPairs.has(oldKeyId)).to.be.true;
+
+      // the nym no longer matches the key, but the update replaces the key
+      // and is signed by it
+      let result = await VeresOneDriver.validateDid({
+        didDocument: updated, mode: 'test', operationType: 'update',
+        previousDidDocument: didDocument, operation: client.sent[0]
+      });
+      expect(result.valid).to.be.true;
+      for(const options of [{}, {operationType: 'update'}]) {
+        result = await VeresOneDriver.validateDid(
+          {didDocument: updated, mode: 'test', ...options});
+        expect(result.valid).to.be.false;
+      }
+
+      // a second rotation is signed with the new key
+      await driver.rotateKey({
+        did: didDocument.id, purpose: 'authentication',
+        keyPairs: newKeyPairs
+      });
+      expect(client.sent[1].proof.verificationMethod).to.equal(newKeyId);
+    });
+
+    it('should only accept a new nym key signed by the key it replaces',
+      async () => {
+        const {id: oldKeyId} = methodFor({purpose: 'capabilityInvocation'});
+        const {didDocument: updated} = await driver.rotateKey(
+          {did: didDocument.id, purpose: 'capabilityInvocation', keyPairs});
+        const [operation] = client.sent;
+        const [newKeyId] = updated.capabilityInvocation;
+        const validate = options => VeresOneDriver.validateDid({
+          didDocument: updated, mode: 'test', operationType: 'update',
+          previousDidDocument: didDocument, operation, ...options
+        });
+        expect((await validate()).valid).to.be.true;
+        // later updates keep the key of the (validated) ledger record
+        expect((await validate({
+          didDocument: {...updated, alsoKnownAs: ['https://example.com']},
+          previousDidDocument: updated, operation: undefined
+        })).valid).to.be.true;
+
+        for(const options of [
+          // no proof of the replaced key
+          {operation: {...operation, proof: undefined}},
+          {
+            operation: {
+              ...operation,
+              proof: {...operation.proof, verificationMethod: newKeyId}
+            }
+          },
+          // the proof does not match the operation
+          {
+            operation: {
+              ...operation,
+              recordPatch: {...operation.recordPatch, sequence: 5}
+            }
+          },
+          // the replaced key is kept
+          {
+            didDocument: {
+              ...updated, capabilityInvocation: [newKeyId, oldKeyId]
+            }
+          },
+          // another DID's record
+          {previousDidDocument: {...didDocument, id: UNREGISTERED_NYM}}
+        ]) {
+          const {valid, error} = await validate(options);
+          expect(valid).to.be.false;
+          expect(error).to.be.instanceOf(InvalidDidError);
+        }
+      });
+
+    it('should not rotate a nym key with a proof of another key',
+      async () => {
+        const {id: otherKeyId} = didDocument.keyAgreement[0];
+        const signer = {
+          id: otherKeyId,
+          async sign() {
+            throw new Error('Not reached.');
+          }
+        };
+        let error;
+        try {
+          await driver.rotateKey({
+            did: didDocument.id, purpose: 'capabilityInvocation', signer
+          });
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(ControllerNotAuthorizedError);
+        expect(client.sent).to.have.length(0);
+      });
+
+    it('should rotate a key agreement key', async () => {
+      const [{id: oldKeyId}] = didDocument.keyAgreement;
+      const {didDocument: updated, keyPairs: newKeyPairs} =
+        await driver.rotateKey(
+          {did: didDocument.id, purpose: 'keyAgreement', keyPairs});
+      const [newKeyId] = updated.keyAgreement;
+      expect(newKeyId).to.not.equal(oldKeyId);
+      expect(newKeyPairs.get(newKeyId).type)
+        .to.equal('X25519KeyAgreementKey2020');
+      expect(updated.verificationMethod.map(({id}) => id))
+        .to.include(newKeyId);
+      expect(updated.capabilityInvocation)
+        .to.eql(didDocument.capabilityInvocation);
+    });
+
+    it('should accept a replacement key', async () => {
+      const newKey = await Ed25519VerificationKey2020.generate();
+      const {didDocument: updated} = await driver.rotateKey({
+        did: didDocument.id, purpose: 'assertionMethod',
+        methodId: methodFor({purpose: 'assertionMethod'}).id, keyPairs,
+        newKey
+      });
+      expect(newKey.id).to.equal(
+        `${didDocument.id}#${newKey.fingerprint()}`);
+      expect(updated.assertionMethod).to.eql([newKey.id]);
+    });
+
+    it('should not send anything without the invocation key', async () => {
+      let error;
+      try {
+        await driver.rotateKey({
+          did: didDocument.id, purpose: 'assertionMethod', keyPairs: new Map()
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/capabilityInvocation key/);
+
+      error = null;
+      try {
+        await driver.rotateKey({
+          did: didDocument.id, purpose: 'assertionMethod', keyPairs,
+          methodId: didDocument.keyAgreement[0].id
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(DidNotFoundError);
+      expect(client.sent).to.have.length(0);
+    });
+
+    it('should require a registered DID', async () => {
+      const {didDocument: unregistered, keyPairs} = await driver.generate();
+      let error;
+      try {
+        await driver.rotateKey({
+          did: unregistered.id, purpose: 'capabilityInvocation', keyPairs
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(DidNotFoundError);
+    });
+  });
+
+  describe('deactivate', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let didDocument;
+    let keyPairs;
+    let methodFor;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      ({didDocument, keyPairs, methodFor} = await driver.generate());
+      client.records.push({record: didDocument, meta: {sequence: 1}});
+    });
+
+    it('should send a signed deactivate operation', async () => {
+      const deactivated = await driver.deactivate(
+        {did: didDocument.id, keyPairs, waitForConfirmation: true});
+      expect(deactivated).to.eql(didDocument);
+
+      const [operation] = client.sent;
+      expect(operation.type).to.equal('DeactivateWebLedgerRecord');
+      expect(operation.recordPatch).to.eql(
+        {target: didDocument.id, sequence: 1});
+      expect(operation.proof.invocationTarget).to.equal(didDocument.id);
+      expect(operation.proof.verificationMethod).to.equal(
+        methodFor({purpose: 'capabilityInvocation'}).id);
+    });
+
+    it('should report "deactivated" when resolving', async () => {
+      await driver.deactivate({did: didDocument.id, keyPairs});
+      const {didDocument: resolved, didDocumentMetadata} =
+        await driver.resolve({did: didDocument.id});
+      expect(resolved.id).to.equal(didDocument.id);
+      expect(didDocumentMetadata.deactivated).to.be.true;
+      expect(didDocumentMetadata.sequence).to.equal(2);
+      const result = await driver.get(
+        {did: didDocument.id, includeMetadata: true});
+      expect(result.didDocument.id).to.equal(didDocument.id);
+      expect(result.didDocumentMetadata.deactivated).to.be.true;
+
+      // its keys are no longer returned
+      let error;
+      try {
+        await driver.get({url: methodFor({purpose: 'assertionMethod'}).id});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(DidNotFoundError);
+      expect(error.details.deactivated).to.be.true;
+    });
+
+    it('should not construct a deactivated nym DID Document', async () => {
+      // a ledger that no longer returns the record of a deactivated DID
+      client.getRecord = async ({did}) => {
+        throw new DidNotFoundError(
+          'Record has been deactivated.', {did, deactivated: true});
+      };
+      const result = await driver.resolve({did: didDocument.id});
+      expect(result.didDocument).to.eql(
+        {'@context': DID_DOC_CONTEXTS, id: didDocument.id});
+      expect(result.didDocumentMetadata).to.eql(
+        {source: 'ledger', deactivated: true});
+      expect(result.didResolutionMetadata.error).to.not.exist;
+
+      const {didDocumentMetadata} = await driver.get(
+        {did: didDocument.id, includeMetadata: true});
+      expect(didDocumentMetadata.deactivated).to.be.true;
+      let error;
+      try {
+        await driver.get({url: methodFor({purpose: 'assertionMethod'}).id});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(DidNotFoundError);
+      expect(error.details.deactivated).to.be.true;
+    });
+
+    it('should resolve a DID the ledger reports as deactivated', async () => {
+      // a ledger node that answers "410 Gone" for a deactivated DID
+      const server = http.createServer((req, res) => {
+        res.writeHead(410, {'Content-Type': 'application/json'});
+        res.end('{}');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const {port} = server.address();
+      const ledgerClient = new VeresOneClient(
+        {hostname: 'ledger.example', retry: {retries: 0}});
+      ledgerClient.ledger.ledgerAgent = {
+        service: {ledgerQueryService: `http://127.0.0.1:${port}/query`}
+      };
+      driver = new VeresOneDriver({mode: 'test', client: ledgerClient});
+      try {
+        const {didDocumentMetadata, didResolutionMetadata} =
+          await driver.resolve({did: didDocument.id});
+        expect(didDocumentMetadata.deactivated).to.be.true;
+        expect(didResolutionMetadata.error).to.not.exist;
+
+        let error;
+        try {
+          await driver.get({url: methodFor({purpose: 'assertionMethod'}).id});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(DidNotFoundError);
+        expect(error.details.deactivated).to.be.true;
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should reject updates of a deactivated DID', async () => {
+      await driver.deactivate({did: didDocument.id, keyPairs});
+      for(const operation of [
+        () => driver.deactivate({did: didDocument.id, keyPairs}),
+        () => driver.update({
+          didDocument: {...didDocument, alsoKnownAs: ['https://example.com']},
+          keyPairs
+        })
+      ]) {
+        let error;
+        try {
+          await operation();
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(OperationRejectedError);
+        expect(error.details.deactivated).to.be.true;
+      }
+      expect(client.sent).to.have.length(1);
+    });
+  });
+
+  describe('controllers', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let employee;
+    let org;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      org = await _register();
+      employee = await _register({controller: org.didDocument.id});
+    });
+
+    async function _register({controller} = {}) {
+      const generated = await driver.generate();
+      if(controller) {
+        generated.didDocument.controller = controller;
+      }
+      client.records.push({record: generated.didDocument, meta: {sequence: 0}});
+      return generated;
+    }
+
+    function _invokeKeyId({methodFor}) {
+      return methodFor({purpose: 'capabilityInvocation'}).id;
+    }
+
+    it('should sign updates with a controller\'s key', async () => {
+      const {id: did} = employee.didDocument;
+      const updater = await driver.createUpdater({did});
+      updater.didDocument.alsoKnownAs = ['https://example.com/employee'];
+      await driver.update({updater, keyPairs: org.keyPairs});
+      const [{proof}] = client.sent;
+      expect(proof.verificationMethod).to.equal(_invokeKeyId(org));
+      expect(proof.capability).to.equal(did);
+
+      // the employee's own key may not sign
+      let error;
+      try {
+        await driver.deactivate({did, keyPairs: employee.keyPairs});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/capabilityInvocation key/);
+    });
+
+    it('should verify keys against the controller chain', async () => {
+      const parent = await _register();
+      client.records[0].record.controller = parent.didDocument.id;
+      const {id: did} = employee.didDocument;
+
+      let result = await driver.verifyController(
+        {did, methodId: _invokeKeyId(parent)});
+      expect(result.valid).to.be.true;
+      expect(result.controller).to.equal(parent.didDocument.id);
+      expect(result.chain).to.eql(
+        [did, org.didDocument.id, parent.didDocument.id]);
+
+      for(const controlled of [employee, org]) {
+        result = await driver.verifyController(
+          {did, methodId: _invokeKeyId(controlled)});
+        expect(result.valid).to.be.false;
+        expect(result.error).to.be.instanceOf(ControllerNotAuthorizedError);
+        expect(result.error.code).to.equal('controllerNotAuthorized');
+        expect(result.error.details.controllers).to.eql(
+          [parent.didDocument.id]);
+      }
+
+      let error;
+      try {
+        await driver.resolveControllerChain({did, maxDepth: 1});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidDidDocumentError);
+    });
+
+    it('should include the DID itself if listed as a controller',
+      async () => {
+        const {id: did} = employee.didDocument;
+        client.records[1].record.controller = [did, org.didDocument.id];
+        const controllers = await driver.resolveControllerChain({did});
+        expect(controllers.map(({did}) => did)).to.eql(
+          [did, org.didDocument.id]);
+        for(const {methodFor} of [employee, org]) {
+          const {valid} = await driver.verifyController(
+            {did, methodId: _invokeKeyId({methodFor})});
+          expect(valid).to.be.true;
+        }
+      });
+
+    it('should stop at cycles and deactivated controllers', async () => {
+      const {id: did} = employee.didDocument;
+      // org and employee control each other
+      client.records[0].record.controller = did;
+      expect(await driver.resolveControllerChain({did})).to.eql([]);
+
+      client.records[0].record.controller = org.didDocument.id;
+      client.records.push({
+        record: org.didDocument, meta: {sequence: 1, deactivated: true}
+      });
+      expect(await driver.resolveControllerChain({did})).to.eql([]);
+      const {valid} = await driver.verifyController(
+        {did, methodId: _invokeKeyId(org)});
+      expect(valid).to.be.false;
+    });
+  });
+
+  describe('threshold', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+    let didDocument;
+    // key pairs of the three key holders
+    let holders;
+
+    beforeEach(async () => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const generated = await driver.generate();
+      const updater = new VeresOneDidDoc(
+        {didDocument: structuredClone(generated.didDocument)});
+      holders = [new Map(generated.keyPairs)];
+      for(let i = 0; i < 2; ++i) {
+        const keyPair = await Ed25519VerificationKey2020.generate();
+        updater.addVerificationMethod(
+          {keyPair, purposes: ['capabilityInvocation']});
+        holders.push(new Map([[keyPair.id, keyPair]]));
+      }
+      ({didDocument} = updater);
+      client.records.push({record: didDocument, meta: {sequence: 0}});
+    });
+
+    async function _prepare() {
+      const updater = await driver.createUpdater({did: didDocument.id});
+      updater.didDocument.alsoKnownAs = ['https://example.com'];
+      return driver.prepareOperation(
+        {updater, operationType: 'update', keyPairs: holders[0]});
+    }
+
+    it('should gather proofs from several key holders', async () => {
+      let operation = await _prepare();
+      // passed to the next key holder as JSON
+      operation = JSON.parse(JSON.stringify(operation));
+      const signed = await driver.signOperation(
+        {operation, keyPairs: holders[1]});
+      expect(signed.proof).to.have.length(2);
+      // the operation passed in is not changed
+      expect(operation.proof).to.not.be.an('array');
+
+      const [id0, id1] = didDocument.capabilityInvocation;
+      let result = await driver.verifyThreshold(
+        {operation: signed, policy: {threshold: 2}});
+      expect(result.valid).to.be.true;
+      expect(result.signers).to.eql([id0, id1]);
+
+      result = await driver.verifyThreshold(
+        {operation: signed, policy: {threshold: 2, methodIds: [id1, 'x']}});
+      expect(result.valid).to.be.false;
+      expect(result.signers).to.eql([id1]);
+      expect(result.error).to.be.instanceOf(ControllerNotAuthorizedError);
+
+      let error;
+      try {
+        await driver.submitOperation(
+          {operation: signed, policy: {threshold: 3}});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(ControllerNotAuthorizedError);
+      expect(error.details.signers).to.eql([id0, id1]);
+      expect(client.sent).to.have.length(0);
+
+      const finished = await driver.signOperation(
+        {operation: signed, keyPairs: holders[2]});
+      await driver.submitOperation(
+        {operation: finished, policy: {threshold: 3}});
+      expect(client.sent).to.have.length(1);
+    });
+
+    it('should not count tampered or unauthorized proofs', async () => {
+      let operation = await _prepare();
+      operation = await driver.signOperation(
+        {operation, keyPairs: holders[1]});
+      // a key holder can only sign once
+      let error;
+      try {
+        await driver.signOperation({operation, keyPairs: holders[1]});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+
+      // a key of another DID
+      const {methodFor} = await driver.generate();
+      const otherKey = methodFor({purpose: 'capabilityInvocation'});
+      error = null;
+      try {
+        await driver.signOperation({operation, signer: otherKey.signer()});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(ControllerNotAuthorizedError);
+      const {target} = operation.recordPatch;
+      operation = await attachInvocationProof({
+        operation: structuredClone(operation), capability: target,
+        invocationTarget: target, key: otherKey
+      });
+      let result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 3}});
+      expect(result.signers).to.have.length(2);
+      expect(result.error.details.errors).to.eql(
+        [{methodId: otherKey.id, error: 'notAuthorized'}]);
+
+      operation.recordPatch.patch[0].value = ['https://example.org'];
+      result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1}});
+      expect(result.valid).to.be.false;
+      expect(result.signers).to.eql([]);
     });
 
-    it('should derive a DID Doc if it encounters a 404 for nym', async () => {
-      nock('https://ashburn.capybara.veres.one')
-        .get(`/ledger-agents`)
-        .reply(200, LEDGER_AGENTS_DOC);
+    it('should not count proofs of another capability or action', async () => {
+      const operation = await _prepare();
+      const {target} = operation.recordPatch;
+      const [key] = holders[1].values();
+      const invocations = [
+        {capability: target, invocationTarget: target, key},
+        {capability: target, invocationTarget: target, key,
+          capabilityAction: 'read'},
+        {capability: 'did:v1:test:nym:other', invocationTarget: target, key}
+      ];
+      const results = [];
+      for(const invocation of invocations) {
+        const signed = await attachInvocationProof(
+          {operation: structuredClone(operation), ...invocation});
+        const proof = [].concat(signed.proof).find(
+          ({verificationMethod}) => verificationMethod === key.id);
+        results.push(await verifyInvocationProof({
+          operation: signed, proof, key, capability: target,
+          invocationTarget: target, controllers: [didDocument]
+        }));
+      }
+      expect(results.map(({verified}) => verified)).to.eql(
+        [true, false, false]);
+    });
+  });
 
-      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
-        LEDGER_AGENTS_DOC;
-      nock(ledgerQueryService)
-        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
-        .reply(404);
+  describe('proofSuite', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
 
-      _nockLedgerAgentStatus();
+    beforeEach(() => {
+      client = _mockLedgerClient();
+    });
 
-      const result = await driver.get({did: UNREGISTERED_NYM});
-      expect(result).to.eql(UNREGISTERED_DOC);
+    it('should sign operations with Data Integrity proofs', async () => {
+      driver = new VeresOneDriver(
+        {mode: 'test', client, logger, proofSuite: 'eddsa-rdfc-2022'});
+      const {didDocument, keyPairs, methodFor} = await driver.generate();
+      await driver.register({didDocument, keyPairs});
+
+      const [operation] = client.sent;
+      expect(operation['@context']).to.include(
+        constants.DATA_INTEGRITY_CONTEXT_URL);
+      expect(operation.proof.type).to.equal('DataIntegrityProof');
+      expect(operation.proof.cryptosuite).to.equal('eddsa-rdfc-2022');
+      expect(operation.proof.proofPurpose).to.equal('capabilityInvocation');
+      expect(operation.proof.capability).to.equal(didDocument.id);
+      expect(operation.proof.verificationMethod).to.equal(
+        methodFor({purpose: 'capabilityInvocation'}).id);
+      const result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1}});
+      expect(result.valid).to.be.true;
+
+      operation.record.alsoKnownAs = ['https://example.com'];
+      const tampered = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1}});
+      expect(tampered.valid).to.be.false;
     });
 
-    it('should return a key present in an un-registered DID', async () => {
-      nock('https://ashburn.capybara.veres.one')
-        .get(`/ledger-agents`)
-        .reply(200, LEDGER_AGENTS_DOC);
+    it('should choose the proof suite per operation', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const {didDocument, keyPairs} = await driver.generate();
+      let operation = await driver.prepareOperation(
+        {didDocument, keyPairs, proofSuite: 'eddsa-rdfc-2022'});
+      expect(operation.proof.type).to.equal('DataIntegrityProof');
+      operation = await driver.prepareOperation({didDocument, keyPairs});
+      expect(operation.proof.type).to.equal('Ed25519Signature2020');
+
+      const {didDocument: multikeyDoc, keyPairs: multikeyPairs} =
+        await new VeresOneDriver({verificationSuite: Ed25519Multikey})
+          .generate();
+      await driver.send(
+        await client.wrap({didDocument: multikeyDoc, operationType: 'create'}),
+        {
+          didDocument: multikeyDoc, keyPairs: multikeyPairs,
+          proofSuite: 'eddsa-rdfc-2022'
+        });
+      [operation] = client.sent;
+      expect(operation.proof.type).to.equal('DataIntegrityProof');
+      const result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1}});
+      expect(result.valid).to.be.true;
+    });
 
-      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
-        LEDGER_AGENTS_DOC;
-      nock(ledgerQueryService)
-        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
-        .reply(404);
+    it('should verify proofs of different suites', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const generated = await driver.generate();
+      const updater = new VeresOneDidDoc(
+        {didDocument: structuredClone(generated.didDocument)});
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      updater.addVerificationMethod(
+        {keyPair, purposes: ['capabilityInvocation']});
+      const {didDocument} = updater;
+      client.records.push({record: didDocument, meta: {sequence: 0}});
+
+      const changes = await driver.createUpdater({did: didDocument.id});
+      changes.didDocument.alsoKnownAs = ['https://example.com'];
+      let operation = await driver.prepareOperation({
+        updater: changes, operationType: 'update',
+        keyPairs: generated.keyPairs
+      });
+      // a key holder with a KMS signer
+      operation = await driver.signOperation({
+        operation, signer: keyPair.signer(), proofSuite: 'eddsa-rdfc-2022'
+      });
+      expect(operation.proof.map(({type}) => type)).to.eql(
+        ['Ed25519Signature2020', 'DataIntegrityProof']);
+      const result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 2}});
+      expect(result.valid).to.be.true;
+      expect(result.signers).to.eql(didDocument.capabilityInvocation);
+    });
 
-      _nockLedgerAgentStatus();
+    it('should reject unsupported proof suites', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const {didDocument, keyPairs} = await driver.generate();
+      let error;
+      try {
+        await driver.register(
+          {didDocument, keyPairs, proofSuite: 'Ed25519Signature2018'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/Unsupported proof suite/);
+      expect(client.sent).to.have.length(0);
+    });
+  });
 
-      // eslint-disable-next-line max-len
-      const unregisteredKey = 'did:v1:nym:z6MkiCqJ7vhBXRau9BT9yXA9LxSGarmL4W8gFD8qajBZz4gQ#z6MkiCqJ7vhBXRau9BT9yXA9LxSGarmL4W8gFD8qajBZz4gQ';
-      const result = await driver.get({did: unregisteredKey});
+  describe('waitForConfirmation', () => {
+    const {record} = TEST_DID_RESULT;
+    const updated = {...record, alsoKnownAs: ['https://example.com']};
+    let client;
 
-      expect(result).to.eql({
-        '@context': [
-          'https://w3id.org/did/v0.11',
-          'https://w3id.org/veres-one/v1'
-        ],
-        // eslint-disable-next-line max-len
-        id: 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt#z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt',
-        type: 'Ed25519VerificationKey2020',
-        // eslint-disable-next-line max-len
-        controller: 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt',
-        publicKeyBase58: 'QugeAcHQwASabUMTXFNefYdBeD8wU24CENyayNzkXuW'
+    beforeEach(() => {
+      client = _mockClient();
+      client.wrap = async ({didDocument, changeset, operationType}) => ({
+        type: operationType, record: didDocument, recordPatch: changeset
       });
+      driver = new VeresOneDriver({mode: 'test', client});
     });
 
-    it('should throw a 404 getting a non-invoke unregistered key', async () => {
-      nock('https://ashburn.capybara.veres.one')
-        .get(`/ledger-agents`)
-        .reply(200, LEDGER_AGENTS_DOC);
+    // simulates the ledger writing a record after a number of polls
+    function _sendWrites({sequence, afterPolls}) {
+      driver.send = async () => {
+        const {getRecord} = client;
+        let polls = 0;
+        client.getRecord = async function(options) {
+          if(++polls === afterPolls) {
+            this.records.push({record, meta: {sequence}});
+          }
+          return getRecord.call(this, options);
+        };
+      };
+    }
 
-      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
-        LEDGER_AGENTS_DOC;
-      nock(ledgerQueryService)
-        .post('/?id=' + encodeURIComponent(UNREGISTERED_NYM))
-        .reply(404);
+    it('should wait until a registered record appears', async () => {
+      _sendWrites({sequence: 0, afterPolls: 3});
+      const didDocument = await driver.register({
+        didDocument: record, waitForConfirmation: true, pollInterval: 1
+      });
+      expect(didDocument).to.equal(record);
+      expect(client.calls).to.have.length(3);
+    });
 
-      _nockLedgerAgentStatus();
+    it('should wait until an update has the next sequence', async () => {
+      client.records.push({record, meta: {sequence: 4}});
+      // update() looks up the current record (and sequence) first
+      _sendWrites({sequence: 5, afterPolls: 2});
+      await driver.update({
+        didDocument: updated, waitForConfirmation: true, pollInterval: 1
+      });
+      expect(client.calls).to.have.length(3);
+    });
 
-      let error;
-      let result;
-      // eslint-disable-next-line max-len
-      const nonInvokeKey = 'did:v1:test:nym:z6MkesAjEQrikUeuh6K496DDVm6d1DUzMMGQtFHuRFM1fkgt#z6MkrhVjBzL7pjojt3nYxSbNkTkZuCyRh6izYEUJL4pyPbB6';
+    it('should not wait by default', async () => {
+      _sendWrites({sequence: 0, afterPolls: 1});
+      await driver.register({didDocument: record});
+      expect(client.calls).to.have.length(0);
+    });
 
+    it('should throw "ConfirmationTimeoutError" on timeout', async () => {
+      client.records.push({record, meta: {sequence: 1}});
+      driver.send = async () => {};
+      let error;
       try {
-        result = await driver.get({did: nonInvokeKey});
+        await driver.update({
+          didDocument: updated, waitForConfirmation: true, timeout: 30,
+          pollInterval: 5
+        });
       } catch(e) {
         error = e;
       }
-      expect(result).not.to.exist;
-      expect(error).to.exist;
-      error.name.should.equal('NotFoundError');
+      expect(error).to.be.instanceOf(ConfirmationTimeoutError);
+      error.name.should.equal('ConfirmationTimeoutError');
+      error.code.should.equal('confirmationTimeout');
+      error.details.should.include(
+        {did: TEST_DID, sequence: 2, timeout: 30, currentSequence: 1});
     });
 
-    it('should throw a 404 if non-nym DID not found on ledger', async () => {
-      nock('https://ashburn.capybara.veres.one')
-        .get(`/ledger-agents`)
-        .reply(200, LEDGER_AGENTS_DOC);
-
-      const {ledgerAgent: [{service: {ledgerQueryService}}]} =
-        LEDGER_AGENTS_DOC;
-      nock(ledgerQueryService)
-        .post('/?id=' + encodeURIComponent(UNREGISTERED_UUID))
-        .reply(404);
-
-      _nockLedgerAgentStatus();
-
+    it('should not wait if the operation is rejected', async () => {
+      driver.send = async () => {
+        throw new OperationRejectedError('Operation rejected by the ledger.');
+      };
       let error;
-      let result;
       try {
-        result = await driver.get({did: UNREGISTERED_UUID});
+        await driver.register({didDocument: record, waitForConfirmation: true});
       } catch(e) {
         error = e;
       }
-      expect(result).not.to.exist;
-      expect(error).to.exist;
-      error.name.should.equal('NotFoundError');
+      expect(error).to.be.instanceOf(OperationRejectedError);
+      expect(client.calls).to.have.length(0);
     });
   });
 
@@ -178,6 +1637,22 @@ describe('methods/veres-one', () => {
       expect(didDocument.id).to.match(/^did:v1:nym:z.*/);
     });
 
+    it('should validate the method ids of referenced methods', async () => {
+      // relationships reference the methods defined in `verificationMethod`
+      const {didDocument} = await driver.generate();
+      expect(didDocument.authentication[0]).to.be.a('string');
+      expect(await driver.validateMethodIds({didDocument}))
+        .to.eql({valid: true});
+
+      // a method id that does not match the key fingerprint
+      const [{id}] = didDocument.verificationMethod;
+      const tampered = JSON.parse(
+        JSON.stringify(didDocument).replaceAll(`"${id}"`, `"${id}x"`));
+      const result = await driver.validateMethodIds({didDocument: tampered});
+      expect(result.valid).to.be.false;
+      expect(result.error).to.be.instanceOf(InvalidDidDocumentError);
+    });
+
     it('should generate a DID document from seed', async () => {
       const seedBytes = (new TextEncoder()).encode(TEST_SEED).slice(0, 32);
       const {didDocument} = await driver.generate({seed: seedBytes});
@@ -274,6 +1749,34 @@ describe('methods/veres-one', () => {
       expect(keyPairs).to.exist;
     });
 
+    it('should generate a DID Document with services', async () => {
+      const {didDocument} = await driver.generate({services: [
+        {id: '#hub', type: 'Hub', serviceEndpoint: 'https://hub.example.com'},
+        {
+          id: '#messaging', type: ['Messaging'],
+          serviceEndpoint: [{uri: 'https://example.com', accept: ['didcomm']}]
+        }
+      ]});
+      expect(didDocument.service.map(({id}) => id)).to.eql([
+        `${didDocument.id}#hub`, `${didDocument.id}#messaging`
+      ]);
+      expect(didDocument.service[0].serviceEndpoint)
+        .to.equal('https://hub.example.com');
+    });
+
+    it('should reject invalid services', async () => {
+      let error;
+      try {
+        await driver.generate({services: [
+          {id: '#hub', type: 'Hub', serviceEndpoint: 'hub'}
+        ]});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidDidDocumentError);
+      error.message.should.match(/invalid "serviceEndpoint"/);
+    });
+
     it('should generate uuid-based DID Document in test mode', async () => {
       const {didDocument} = await driver.generate({didType: 'uuid'});
       expect(didDocument.id).to.match(/^did:v1:test:uuid:.*/);
@@ -286,6 +1789,502 @@ describe('methods/veres-one', () => {
     });
   });
 
+  describe('masterSeed', () => {
+    const logger = {log() {}, debug() {}};
+    const masterSeed = new Uint8Array(32).fill(7);
+    let client;
+
+    beforeEach(() => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+    });
+
+    it('should derive a key for each relationship', async () => {
+      const {didDocument, keyPairs} = await driver.generate({masterSeed});
+      const ids = constants.VERIFICATION_RELATIONSHIPS.map(
+        purpose => didDocument[purpose][0].id || didDocument[purpose][0]);
+      expect(new Set(ids).size).to.equal(5);
+      expect(keyPairs.size).to.equal(5);
+      for(const id of ids) {
+        expect(id.startsWith(`${didDocument.id}#`)).to.be.true;
+      }
+      expect(await VeresOneDriver.validateDid({didDocument, mode: 'test'}))
+        .to.eql({valid: true});
+      expect(await driver.validateMethodIds({didDocument}))
+        .to.eql({valid: true});
+
+      // deterministic, and unlike the keys of other master seeds
+      const {didDocument: again} = await driver.generate({masterSeed});
+      expect(again).to.eql(didDocument);
+      const {didDocument: other} = await driver.generate(
+        {masterSeed: new Uint8Array(32).fill(8)});
+      expect(other.id).to.not.equal(didDocument.id);
+      const {didDocument: seeded} = await driver.generate(
+        {seed: masterSeed});
+      expect(seeded.id).to.not.equal(didDocument.id);
+    });
+
+    it('should recover rotated keys from the master seed', async () => {
+      const {didDocument, keyPairs} = await driver.generate({masterSeed});
+      await driver.register({didDocument, keyPairs});
+      const {keyPairs: rotated} = await driver.rotateKey({
+        did: didDocument.id, purpose: 'assertionMethod', keyPairs,
+        masterSeed, keyIndex: 1
+      });
+
+      const {didDocument: current, keyPairs: recovered, methodFor} =
+        await driver.recoverKeyPairs({did: didDocument.id, masterSeed});
+      expect([...recovered.keys()]).to.have.members([...rotated.keys()]);
+      for(const [id, keyPair] of recovered) {
+        expect(keyPair.export({publicKey: true, privateKey: true}))
+          .to.eql(rotated.get(id).export({publicKey: true, privateKey: true}));
+      }
+      const assertionKey = methodFor({purpose: 'assertionMethod'});
+      const [assertionMethod] = current.assertionMethod;
+      expect(assertionKey.id).to.equal(
+        assertionMethod.id || assertionMethod);
+      expect(keyPairs.has(assertionKey.id)).to.be.false;
+
+      // the recovered keys can update the DID Document
+      await driver.rotateKey({
+        did: didDocument.id, purpose: 'authentication', keyPairs: recovered,
+        masterSeed, keyIndex: 1
+      });
+      expect(client.records.at(-1).meta.sequence).to.equal(2);
+
+      // keys past the highest key index are not recovered
+      const {keyPairs: partial} = await driver.recoverKeyPairs(
+        {did: didDocument.id, masterSeed, maxKeyIndex: 0});
+      expect(partial.size).to.equal(3);
+    });
+
+    it('should recover Multikey key pairs', async () => {
+      driver = new VeresOneDriver(
+        {mode: 'test', client, logger, verificationSuite: Ed25519Multikey});
+      const {didDocument, keyPairs} = await driver.generate({masterSeed});
+      await driver.register({didDocument, keyPairs});
+      const {keyPairs: recovered} = await driver.recoverKeyPairs(
+        {did: didDocument.id, masterSeed});
+      expect(recovered.size).to.equal(5);
+      const [invokeKeyId] = didDocument.capabilityInvocation;
+      expect(recovered.get(invokeKeyId)).to.be.instanceOf(Ed25519Multikey);
+      expect(recovered.get(invokeKeyId).export({secretKey: true}))
+        .to.eql(keyPairs.get(invokeKeyId).export({secretKey: true}));
+    });
+
+    it('should reject invalid master seeds and key indexes', async () => {
+      for(const options of [
+        {masterSeed: new Uint8Array(16)},
+        {masterSeed: 'seed'},
+        {masterSeed, seed: masterSeed}
+      ]) {
+        let error;
+        try {
+          await driver.generate(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+
+      const {didDocument, keyPairs} = await driver.generate({masterSeed});
+      await driver.register({didDocument, keyPairs});
+      let error;
+      try {
+        await driver.rotateKey({
+          did: didDocument.id, purpose: 'assertionMethod', keyPairs,
+          masterSeed
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/"keyIndex"/);
+      expect(client.sent).to.have.length(1);
+    });
+  });
+
+  describe('keystore', () => {
+    const logger = {log() {}, debug() {}};
+    const passphrase = 'correct horse battery staple';
+    // fewer PBKDF2 iterations than the default, to keep tests fast
+    const iterations = 100000;
+    let didDocument;
+    let keyPairs;
+
+    beforeEach(async () => {
+      driver = new VeresOneDriver(
+        {mode: 'test', client: _mockLedgerClient(), logger});
+      ({didDocument, keyPairs} = await driver.generate({
+        assertionKey: await EcdsaMultikey.generate({curve: 'P-256'})
+      }));
+    });
+
+    it('should export and import key pairs', async () => {
+      const keystore = await driver.exportKeyPairs(
+        {keyPairs, passphrase, didDocument, iterations});
+      expect(keystore.type).to.equal('VeresOneKeystore');
+      expect(keystore.version).to.equal(1);
+      expect(keystore.kdf).to.include(
+        {name: 'PBKDF2', hash: 'SHA-256', iterations});
+      expect(keystore.cipher.name).to.equal('AES-GCM');
+      const json = JSON.stringify(keystore);
+      for(const keyPair of keyPairs.values()) {
+        const secret = keyPair.privateKeyMultibase ||
+          keyPair.secretKeyMultibase;
+        expect(json).to.not.include(secret);
+      }
+
+      const imported = await driver.importKeyPairs(
+        {keystore: json, passphrase});
+      expect(imported.didDocument).to.eql(didDocument);
+      expect([...imported.keyPairs.keys()]).to.eql([...keyPairs.keys()]);
+      for(const [id, keyPair] of imported.keyPairs) {
+        expect(keyPair.export({publicKey: true, privateKey: true})).to.eql(
+          keyPairs.get(id).export({publicKey: true, privateKey: true}));
+      }
+      for(const purpose of constants.VERIFICATION_RELATIONSHIPS) {
+        const [method] = didDocument[purpose];
+        expect(imported.methodFor({purpose}).id).to.equal(
+          method.id || method);
+      }
+      expect(imported.methodFor({purpose: 'assertionMethod'}))
+        .to.be.instanceOf(EcdsaMultikey);
+
+      // the imported key pairs can sign operations
+      const operation = await driver.prepareOperation(
+        {didDocument, keyPairs: imported.keyPairs});
+      const result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1}});
+      expect(result.valid).to.be.true;
+    });
+
+    it('should restore methodFor from a given DID Document', async () => {
+      const keystore = await driver.exportKeyPairs(
+        {keyPairs, passphrase, iterations});
+      let imported = await driver.importKeyPairs({keystore, passphrase});
+      expect(imported.didDocument).to.be.undefined;
+      let error;
+      try {
+        imported.methodFor({purpose: 'authentication'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+
+      imported = await driver.importKeyPairs(
+        {keystore, passphrase, didDocument});
+      expect(imported.methodFor({purpose: 'authentication'}).id)
+        .to.equal(didDocument.authentication[0]);
+    });
+
+    it('should reject wrong passphrases and tampered keystores', async () => {
+      const keystore = await driver.exportKeyPairs(
+        {keyPairs, passphrase, iterations});
+      const ciphertext = keystore.ciphertext;
+      const tampered = ciphertext.slice(0, 10) +
+        (ciphertext[10] === 'A' ? 'B' : 'A') + ciphertext.slice(11);
+      for(const options of [
+        {keystore, passphrase: 'wrong'},
+        {keystore: {...keystore, ciphertext: tampered}, passphrase},
+        {keystore: {...keystore, version: 2}, passphrase},
+        {keystore: {...keystore, kdf: undefined}, passphrase},
+        {
+          keystore: {...keystore, kdf: {...keystore.kdf, iterations: 1e12}},
+          passphrase
+        },
+        {keystore: '{', passphrase}
+      ]) {
+        let error;
+        try {
+          await driver.importKeyPairs(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(InvalidKeystoreError);
+        expect(error.code).to.equal('invalidKeystore');
+      }
+
+      for(const options of [
+        {keyPairs, passphrase: ''},
+        {keyPairs, passphrase, iterations: 1000},
+        {keyPairs, passphrase, iterations: 10000001},
+        {keyPairs: [...keyPairs], passphrase}
+      ]) {
+        let error;
+        try {
+          await driver.exportKeyPairs(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('multikey', () => {
+    const logger = {log() {}, debug() {}};
+    let client;
+
+    beforeEach(() => {
+      client = _mockLedgerClient();
+      driver = new VeresOneDriver(
+        {mode: 'test', client, logger, verificationSuite: Ed25519Multikey});
+    });
+
+    it('should generate a DID Document with Multikey methods', async () => {
+      const {didDocument, keyPairs} = await driver.generate();
+      const [method] = didDocument.verificationMethod;
+      expect(method.type).to.equal('Multikey');
+      expect(method.publicKeyMultibase).to.match(/^z6Mk/);
+      expect(didDocument.id).to.equal(
+        `did:v1:test:nym:${method.publicKeyMultibase}`);
+      expect(didDocument['@context']).to.include(
+        constants.MULTIKEY_CONTEXT_URL);
+      expect(didDocument['@context']).to.not.include(
+        Ed25519VerificationKey2020.SUITE_CONTEXT);
+      expect(didDocument.keyAgreement[0].type)
+        .to.equal('X25519KeyAgreementKey2020');
+      expect(keyPairs.get(method.id).export({secretKey: true}))
+        .to.have.property('secretKeyMultibase');
+
+      expect(await VeresOneDriver.validateDid({didDocument, mode: 'test'}))
+        .to.eql({valid: true});
+      expect(await driver.validateMethodIds({didDocument}))
+        .to.eql({valid: true});
+      const {didDocument: fromNymDoc} = await fromNym({
+        did: didDocument.id, cryptoLd: driver.cryptoLd,
+        verificationSuite: Ed25519Multikey
+      });
+      expect(fromNymDoc).to.eql(didDocument);
+    });
+
+    it('should accept serialized Multikey key pairs', async () => {
+      const invokeKey = await Ed25519MultikeyLib.generate();
+      const {didDocument, keyPairs} = await new VeresOneDriver({mode: 'test'})
+        .generate({invokeKey});
+      expect(didDocument.id).to.equal(
+        `did:v1:test:nym:${invokeKey.publicKeyMultibase}`);
+      expect(didDocument.verificationMethod[0].type).to.equal('Multikey');
+      expect(keyPairs.get(didDocument.capabilityInvocation[0]))
+        .to.be.instanceOf(Ed25519Multikey);
+    });
+
+    it('should sign and verify operations with Multikey keys', async () => {
+      const {didDocument, keyPairs} = await driver.generate();
+      const [methodId] = didDocument.capabilityInvocation;
+      const operation = await driver.prepareOperation({didDocument, keyPairs});
+      expect(operation.proof.verificationMethod).to.equal(methodId);
+      const result = await driver.verifyThreshold(
+        {operation, policy: {threshold: 1, methodIds: [methodId]}});
+      expect(result.valid).to.be.true;
+
+      await driver.submitOperation({operation});
+      const key = await driver.get({url: methodId});
+      expect(key).to.eql({
+        ...didDocument.verificationMethod[0],
+        '@context': constants.MULTIKEY_CONTEXT_URL
+      });
+    });
+
+    it('should accept ECDSA P-256 and P-384 keys', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const authKey = await EcdsaMultikeyLib.generate({curve: 'P-256'});
+      const assertionKey = await EcdsaMultikey.generate({curve: 'P-384'});
+      const delegateKey = await EcdsaMultikey.generate();
+      const {didDocument, keyPairs} = await driver.generate(
+        {authKey, assertionKey, delegateKey});
+      const [auth] = didDocument.authentication;
+      const [assertion] = didDocument.assertionMethod;
+      const [delegate] = didDocument.capabilityDelegation;
+      expect(auth.type).to.equal('Multikey');
+      expect(auth.id).to.equal(
+        `${didDocument.id}#${authKey.publicKeyMultibase}`);
+      expect(auth.publicKeyMultibase).to.match(/^zDn/);
+      expect(assertion.publicKeyMultibase).to.match(/^z82/);
+      expect(delegate.controller).to.equal(didDocument.id);
+      expect(didDocument['@context']).to.include(
+        constants.MULTIKEY_CONTEXT_URL);
+      expect(keyPairs.get(auth.id)).to.be.instanceOf(EcdsaMultikey);
+      expect(await driver.validateMethodIds({didDocument}))
+        .to.eql({valid: true});
+
+      // the id of the P-384 key, with the fingerprint of the P-256 key
+      assertion.id = `${didDocument.id}#${auth.publicKeyMultibase}`;
+      const result = await driver.validateMethodIds({didDocument});
+      expect(result.valid).to.be.false;
+      result.error.message.should.match(/does not match the key fingerprint/);
+    });
+
+    it('should dereference ECDSA keys', async () => {
+      driver = new VeresOneDriver({mode: 'test', client, logger});
+      const assertionKey = await EcdsaMultikey.generate({curve: 'P-384'});
+      const {didDocument, keyPairs} = await driver.generate({assertionKey});
+      await driver.register({didDocument, keyPairs});
+
+      const key = await driver.get({url: assertionKey.id});
+      expect(key).to.eql({
+        '@context': constants.MULTIKEY_CONTEXT_URL,
+        id: assertionKey.id,
+        type: 'Multikey',
+        controller: didDocument.id,
+        publicKeyMultibase: assertionKey.publicKeyMultibase
+      });
+      const keyPair = await EcdsaMultikey.from(key);
+      const data = new TextEncoder().encode('data');
+      const signature = await keyPairs.get(assertionKey.id).signer()
+        .sign({data});
+      expect(await keyPair.verifier().verify({data, signature})).to.be.true;
+    });
+
+    it('should not use ECDSA keys for capabilityInvocation', async () => {
+      const invokeKey = await EcdsaMultikey.generate();
+      let error;
+      try {
+        await driver.generate({invokeKey});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/must be an Ed25519 key/);
+    });
+
+    it('should keep validating 2020 DID Documents', async () => {
+      const {didDocument} = await new VeresOneDriver({mode: 'test'})
+        .generate();
+      expect(didDocument.verificationMethod[0].type)
+        .to.equal('Ed25519VerificationKey2020');
+      expect(await VeresOneDriver.validateDid({didDocument, mode: 'test'}))
+        .to.eql({valid: true});
+      expect(await driver.validateMethodIds({didDocument}))
+        .to.eql({valid: true});
+    });
+  });
+
+  describe('jwk', () => {
+    const logger = {log() {}, debug() {}};
+    let didDocument;
+    let keyPairs;
+
+    beforeEach(async () => {
+      driver = new VeresOneDriver(
+        {mode: 'test', client: _mockLedgerClient(), logger});
+      ({didDocument, keyPairs} = await driver.generate({
+        authKey: await EcdsaMultikey.generate({curve: 'P-256'}),
+        assertionKey: await EcdsaMultikey.generate({curve: 'P-384'})
+      }));
+    });
+
+    it('should round trip every verification method', async () => {
+      const methods = [
+        ...didDocument.verificationMethod,
+        ...constants.VERIFICATION_RELATIONSHIPS.flatMap(
+          property => didDocument[property])
+      ].filter(method => typeof method === 'object');
+      // Ed25519, P-256, P-384 and X25519 keys
+      const prefixes = methods.map(({publicKeyMultibase}) =>
+        ['z6Mk', 'zDn', 'z82', 'z6LS'].find(
+          prefix => publicKeyMultibase.startsWith(prefix)));
+      expect(new Set(prefixes)).to.have.keys('z6Mk', 'zDn', 'z82', 'z6LS');
+
+      for(const method of methods) {
+        for(const type of ['JsonWebKey2020', 'Multikey']) {
+          const converted = await methodToJwk({method, type});
+          expect(converted.type).to.equal(type);
+          expect(converted.id).to.equal(method.id);
+          expect(converted.controller).to.equal(didDocument.id);
+          expect(converted).to.not.have.property('publicKeyMultibase');
+          expect(converted.publicKeyJwk).to.have.keys(
+            converted.publicKeyJwk.kty === 'EC' ?
+              ['kty', 'crv', 'x', 'y'] : ['kty', 'crv', 'x']);
+
+          const restored = await methodFromJwk({
+            method: converted,
+            type: method.type === 'Multikey' ? 'Multikey' : undefined
+          });
+          expect(restored).to.eql(method);
+          // the key id is still derived from the key fingerprint
+          const keyPair = await driver.cryptoLd.from(restored);
+          expect(restored.id).to.equal(
+            `${didDocument.id}#${keyPair.fingerprint()}`);
+        }
+      }
+    });
+
+    it('should convert Ed25519 keys to Multikeys', async () => {
+      const [method] = didDocument.verificationMethod;
+      const converted = await methodFromJwk(
+        {method: await methodToJwk({method}), type: 'Multikey'});
+      expect(converted).to.eql({...method, type: 'Multikey'});
+      expect(keyPairs.get(method.id).fingerprint())
+        .to.equal(converted.publicKeyMultibase);
+    });
+
+    it('should get keys as JWKs', async () => {
+      await driver.register({didDocument, keyPairs});
+      const [auth] = didDocument.authentication;
+      // the second call is served by the resolution cache
+      for(let i = 0; i < 2; ++i) {
+        const key = await driver.get({url: auth.id, jwk: 'JsonWebKey2020'});
+        expect(key['@context']).to.equal(constants.JWS_2020_CONTEXT_URL);
+        expect(key.type).to.equal('JsonWebKey2020');
+        expect(key.publicKeyJwk.crv).to.equal('P-256');
+        expect(await methodFromJwk({method: key})).to.eql(
+          {...auth, '@context': constants.MULTIKEY_CONTEXT_URL});
+      }
+      const [invoke] = didDocument.capabilityInvocation;
+      const key = await driver.get({url: invoke, jwk: 'Multikey'});
+      expect(key.type).to.equal('Multikey');
+      expect(key.publicKeyJwk).to.eql(
+        keyPairs.get(invoke).toJwk({publicKey: true}));
+      expect(await driver.get({url: invoke})).to.have.property(
+        'publicKeyMultibase');
+    });
+
+    it('should reject unsupported conversions', async () => {
+      const [keyAgreement] = didDocument.keyAgreement;
+      const method = await methodToJwk({method: keyAgreement});
+      let error;
+      try {
+        await methodFromJwk({method, type: 'Multikey'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      error.message.should.match(/cannot be converted to a "Multikey"/);
+
+      error = undefined;
+      try {
+        await methodToJwk({method: keyAgreement, type: 'JsonWebKey'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+
+    it('should reject X25519 keys of the wrong size', async () => {
+      const [keyAgreement] = didDocument.keyAgreement;
+      const method = await methodToJwk({method: keyAgreement});
+      const {x} = method.publicKeyJwk;
+      const bytes = Buffer.from(x, 'base64url');
+      for(const size of [31, 33]) {
+        const resized = new Uint8Array(size);
+        resized.set(bytes.subarray(0, size));
+        const publicKeyJwk = {
+          ...method.publicKeyJwk, x: Buffer.from(resized).toString('base64url')
+        };
+        let error;
+        try {
+          await methodFromJwk({method: {...method, publicKeyJwk}});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+        error.message.should.match(/must be 32 bytes/);
+      }
+    });
+  });
+
   describe('computeId', () => {
     let key;
 
@@ -363,9 +2362,159 @@ describe('methods/veres-one', () => {
       result.error.message.should.match(
         /^Specific id contains invalid characters/);
     });
+
+    it('should return typed errors', async () => {
+      didDocument.id = TEST_DID.replace('test:', '');
+      let result = await VeresOneDriver.validateDid(
+        {didDocument, mode: 'test'});
+      result.error.should.be.instanceOf(InvalidDidError);
+      result.error.code.should.equal('invalidDid');
+      result.error.details.should.eql({did: didDocument.id, mode: 'test'});
+
+      // a cryptonym without a capabilityInvocation key
+      didDocument.id = TEST_DID;
+      result = await VeresOneDriver.validateDid({didDocument, mode: 'test'});
+      result.error.should.be.instanceOf(InvalidDidDocumentError);
+      result.error.code.should.equal('invalidDidDocument');
+    });
+  });
+
+  describe('errors', () => {
+    it('should throw "DidNotFoundError" for an unknown key', async () => {
+      const client = _mockClient();
+      const driver = new VeresOneDriver({mode: 'test', client});
+      const {didDocument} = await driver.generate();
+      client.records = [{record: didDocument, meta: {sequence: 0}}];
+      let error;
+      try {
+        await driver.get({url: `${didDocument.id}#z6MkUnknown`});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(DidNotFoundError);
+      error.code.should.equal('notFound');
+      // kept for backwards compatibility
+      error.name.should.equal('NotFoundError');
+      error.details.methodId.should.equal(`${didDocument.id}#z6MkUnknown`);
+    });
+
+    it('should throw "InvalidDidError" for a malformed DID', async () => {
+      const driver = new VeresOneDriver(
+        {mode: 'test', client: _mockClient()});
+      let error;
+      try {
+        await driver.get({did: 'did:v1:nope'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidDidError);
+      error.details.did.should.equal('did:v1:nope');
+    });
   });
 });
 
+/**
+ * Creates a stand-in for a `VeresOneClient` that serves ledger records
+ * from memory.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<object>} options.records - Ledger query results
+ *   (`{record, meta}`).
+ *
+ * @returns {object} A mock client.
+ */
+function _mockClient({records = []} = {}) {
+  return {
+    calls: [],
+    records,
+    async getRecord({did, versionId, versionTime, signal}) {
+      signal?.throwIfAborted();
+      this.calls.push({did, versionId, versionTime});
+      // latest versions first
+      const versions = this.records
+        .filter(({record}) => record.id === did)
+        .sort((a, b) => (b.meta?.sequence ?? 0) - (a.meta?.sequence ?? 0));
+      let result;
+      if(versionId !== undefined) {
+        result = versions.find(({meta}) => meta.sequence === Number(versionId));
+      } else if(versionTime !== undefined) {
+        result = versions.find(
+          ({meta}) => (meta.updated ?? 0) <= new Date(versionTime).getTime());
+      } else {
+        [result] = versions;
+      }
+      if(!result) {
+        throw new DidNotFoundError('Record not found.', {did});
+      }
+      return structuredClone({didDocument: result.record, meta: result.meta});
+    }
+  };
+}
+
+/**
+ * Creates a stand-in for a `VeresOneClient` that also wraps and accepts
+ * operations (without a ticket service proof), and writes them to its
+ * records.
+ *
+ * @returns {object} A mock client.
+ */
+function _mockLedgerClient() {
+  return {
+    ..._mockClient(),
+    sent: [],
+    async wrap({didDocument, changeset, did, sequence, operationType}) {
+      const operation = {
+        '@context': [
+          constants.WEB_LEDGER_CONTEXT_URL, constants.ZCAP_CONTEXT_URL
+        ]
+      };
+      if(operationType === 'create') {
+        operation.type = 'CreateWebLedgerRecord';
+        operation.record = didDocument;
+      } else if(operationType === 'deactivate') {
+        operation.type = 'DeactivateWebLedgerRecord';
+        operation.recordPatch = {target: did, sequence};
+      } else {
+        operation.type = 'UpdateWebLedgerRecord';
+        operation.recordPatch = changeset;
+      }
+      return operation;
+    },
+    async getStatus() {
+      return {
+        service: {'urn:veresone:ticket-service': {id: 'https://tickets.test'}}
+      };
+    },
+    async getTicketServiceProof({operation}) {
+      return {operation};
+    },
+    async send({operation}) {
+      this.sent.push(operation);
+      if(operation.record) {
+        this.records.push({record: operation.record, meta: {sequence: 0}});
+        return {};
+      }
+      const {target, patch, sequence} = operation.recordPatch;
+      const {didDocument, meta} = await this.getRecord({did: target});
+      if(sequence !== meta.sequence) {
+        throw new OperationRejectedError(
+          'Invalid sequence.', {status: 400});
+      }
+      if(operation.type === 'DeactivateWebLedgerRecord') {
+        this.records.push({
+          record: didDocument, meta: {sequence: sequence + 1, deactivated: true}
+        });
+        return {};
+      }
+      this.records.push({
+        record: applyPatch(didDocument, patch).newDocument,
+        meta: {sequence: sequence + 1}
+      });
+      return {};
+    }
+  };
+}
+
 function _nockLedgerAgentStatus() {
   const {ledgerAgent: [{service: {ledgerAgentStatusService}}]} =
     LEDGER_AGENTS_DOC;